@@ -4,9 +4,10 @@
  * file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
-import { ReadStream, BufferView } from '../stream.js';
+import { ReadStream, WriteStream, BufferView } from '../stream.js';
 import { Endianness, FOURCC, fourCCToString } from '../lingodec/enums.js';
-import { MemoryMapEntry, KeyTableEntry, CastListEntry } from './subchunk.js';
+import { MemoryMapEntry, KeyTableEntry, CastListEntry, EditInfo, readGUIDString } from './subchunk.js';
+import { parseFontXMap, fontPlatformFromID } from './fontmap.js';
 
 // Chunk type enum
 export const ChunkType = {
@@ -20,7 +21,13 @@ export const ChunkType = {
     kMemoryMapChunk: 7,
     kScriptChunk: 8,
     kScriptContextChunk: 9,
-    kScriptNamesChunk: 10
+    kScriptNamesChunk: 10,
+    kFontMapChunk: 11,
+    kFontXMapChunk: 12,
+    kScoreChunk: 13,
+    kFrameLabelsChunk: 14,
+    kFilmLoopChunk: 15,
+    kXtraListChunk: 16
 };
 
 // Member type enum
@@ -37,7 +44,10 @@ export const MemberType = {
     kMovieMember: 9,
     kDigitalVideoMember: 10,
     kScriptMember: 11,
-    kRTEMember: 12
+    kRTEMember: 12,
+    kOLEMember: 13,
+    kTransitionMember: 14,
+    kXtraMember: 15
 };
 
 // Script type enum
@@ -81,6 +91,10 @@ export class Chunk {
         // Override in subclasses
     }
 
+    write(stream) {
+        // Override in subclasses
+    }
+
     size() {
         return 0;
     }
@@ -161,6 +175,62 @@ export class ListChunk extends Chunk {
         const stream = new ReadStream(item, this.itemEndianness);
         return stream.readUint32();
     }
+
+    size() {
+        this.computeOffsetTable();
+        return this.dataOffset + 2 + this.offsetTableLen * 4 + 4 + this.itemsLen;
+    }
+
+    /**
+     * Lay the items out back to back and rebuild the offset table
+     */
+    computeOffsetTable() {
+        let offset = 0;
+        this.offsetTable = [];
+        for (let i = 0; i < this.offsetTableLen; i++) {
+            this.offsetTable.push(offset);
+            offset += this.itemSize(i);
+        }
+        this.itemsLen = offset;
+    }
+
+    itemSize(index) {
+        const item = this.items[index];
+        return item ? item.size : 0;
+    }
+
+    write(stream) {
+        this.computeOffsetTable();
+        this.writeHeader(stream);
+        this.writeOffsetTable(stream);
+        this.writeItems(stream);
+    }
+
+    writeHeader(stream) {
+        stream.writeUint32(this.dataOffset);
+    }
+
+    writeOffsetTable(stream) {
+        stream.seek(this.dataOffset);
+        stream.writeUint16(this.offsetTableLen);
+        for (let i = 0; i < this.offsetTableLen; i++) {
+            stream.writeUint32(this.offsetTable[i]);
+        }
+    }
+
+    writeItems(stream) {
+        stream.writeUint32(this.itemsLen);
+        for (let i = 0; i < this.offsetTableLen; i++) {
+            this.writeItem(stream, i);
+        }
+    }
+
+    writeItem(stream, index) {
+        const item = this.items[index];
+        if (item) {
+            stream.writeBytes(item);
+        }
+    }
 }
 
 /**
@@ -173,6 +243,10 @@ export class CastChunk extends Chunk {
         this.name = '';
         this.members = new Map();
         this.lctx = null;
+        // Position in the cast list, which the score uses to refer to the cast
+        this.castLibNumber = 1;
+        // Director 2/3 scripts, stored as source text: [{member, script}]
+        this.sourceScripts = [];
     }
 
     read(stream) {
@@ -183,6 +257,17 @@ export class CastChunk extends Chunk {
         }
     }
 
+    size() {
+        return this.memberIDs.length * 4;
+    }
+
+    write(stream) {
+        stream.endianness = Endianness.kBigEndian;
+        for (const id of this.memberIDs) {
+            stream.writeInt32(id);
+        }
+    }
+
     populate(castName, id, minMember) {
         this.name = castName;
         console.log('CastChunk.populate:', castName, 'id:', id, 'minMember:', minMember);
@@ -192,7 +277,11 @@ export class CastChunk extends Chunk {
             if (entry.castID === id &&
                 (entry.fourCC === FOURCC('L', 'c', 't', 'x') || entry.fourCC === FOURCC('L', 'c', 't', 'X')) &&
                 this.dir.chunkExists(entry.fourCC, entry.sectionID)) {
-                this.lctx = this.dir.getChunk(entry.fourCC, entry.sectionID);
+                try {
+                    this.lctx = this.dir.getChunk(entry.fourCC, entry.sectionID);
+                } catch (e) {
+                    this.dir.recoverFrom(e);
+                }
                 break;
             }
         }
@@ -201,7 +290,13 @@ export class CastChunk extends Chunk {
         for (let i = 0; i < this.memberIDs.length; i++) {
             const sectionID = this.memberIDs[i];
             if (sectionID > 0) {
-                const member = this.dir.getChunk(FOURCC('C', 'A', 'S', 't'), sectionID);
+                let member;
+                try {
+                    member = this.dir.getChunk(FOURCC('C', 'A', 'S', 't'), sectionID);
+                } catch (e) {
+                    this.dir.recoverFrom(e);
+                    continue;
+                }
                 member.id = i + minMember;
                 member.castSectionID = sectionID;  // Store the CASt chunk's section ID
                 member.castLibID = id;  // Store the cast library ID
@@ -262,10 +357,104 @@ export class CastListChunk extends ListChunk {
         this.itemsPerCast = stream.readUint16();
         this.unk1 = stream.readUint16();
     }
+
+    write(stream) {
+        stream.endianness = Endianness.kBigEndian;
+        this.itemEndianness = stream.endianness;
+        super.write(stream);
+    }
+
+    writeHeader(stream) {
+        stream.writeUint32(this.dataOffset);
+        stream.writeUint16(this.unk0);
+        stream.writeUint16(this.castCount);
+        stream.writeUint16(this.itemsPerCast);
+        stream.writeUint16(this.unk1);
+    }
+
+    /**
+     * Map a list item index to the cast entry and field it holds, or null
+     */
+    entryItem(index) {
+        if (index === 0 || this.itemsPerCast === 0) return null;
+        const castIndex = Math.floor((index - 1) / this.itemsPerCast);
+        const field = index - castIndex * this.itemsPerCast;
+        if (castIndex >= this.entries.length || field > 4) return null;
+        return { entry: this.entries[castIndex], field };
+    }
+
+    itemSize(index) {
+        const item = this.entryItem(index);
+        if (!item) return super.itemSize(index);
+
+        switch (item.field) {
+            case 1:
+                if (!item.entry.name && super.itemSize(index) === 0) return 0;
+                return 1 + item.entry.name.length;
+            case 2:
+                if (!item.entry.filePath && super.itemSize(index) === 0) return 0;
+                return 1 + item.entry.filePath.length;
+            case 3:
+                return 2;
+            default:
+                return 8;
+        }
+    }
+
+    writeItem(stream, index) {
+        const item = this.entryItem(index);
+        if (!item) {
+            super.writeItem(stream, index);
+            return;
+        }
+
+        switch (item.field) {
+            case 1:
+                if (this.itemSize(index) > 0) stream.writePascalString(item.entry.name);
+                break;
+            case 2:
+                if (this.itemSize(index) > 0) stream.writePascalString(item.entry.filePath);
+                break;
+            case 3:
+                stream.writeUint16(item.entry.preloadSettings);
+                break;
+            default:
+                stream.writeUint16(item.entry.minMember);
+                stream.writeUint16(item.entry.maxMember);
+                stream.writeInt32(item.entry.id);
+                break;
+        }
+    }
 }
 
+// CastInfoChunk list items
+const CastInfoItem = {
+    kScriptSrcText: 0,
+    kName: 1,
+    kFilePath: 2,
+    kFileName: 3,
+    kFileType: 4,
+    kScriptEditInfo: 5,
+    kScriptStyle: 6,
+    kTextEditInfo: 7,
+    kRTEEditInfo: 8,
+    kXtraGUID: 9,
+    kXtraName: 10,
+    kMediaFormatName: 14,
+    kCreationDate: 15,
+    kModifiedDate: 16,
+    kModifiedBy: 17,
+    kComments: 18,
+    kImageCompression: 19,
+    kImageQuality: 20
+};
+
+// Mac timestamps count seconds of local time from the start of 1904
+const kMacEpoch = Date.UTC(1904, 0, 1);
+
 /**
- * CastInfoChunk - Info about a cast member
+ * CastInfoChunk - Info about a cast member. Only the script text and name
+ * are written back; the other items are kept as read.
  */
 export class CastInfoChunk extends ListChunk {
     constructor(dir) {
@@ -277,18 +466,90 @@ export class CastInfoChunk extends ListChunk {
         this.scriptId = 0;
         this.scriptSrcText = '';
         this.name = '';
+        // Linked media: the folder and file it was imported from, and its Mac file type
+        this.filePath = '';
+        this.fileName = '';
+        this.fileType = '';
+        this.scriptEditInfo = null;
+        this.textEditInfo = null;
+        this.rteEditInfo = null;
+        // Director 7+
+        this.xtraGUID = '';
+        this.xtraName = '';
+        this.mediaFormatName = '';
+        // Mac timestamps; see creationTime and modifiedTime
+        this.creationDate = 0;
+        this.modifiedDate = 0;
+        this.modifiedBy = '';
+        this.comments = '';
+        this.imageCompression = 0;
+        this.imageQuality = 0;
     }
 
     read(stream) {
         super.read(stream);
-        this.scriptSrcText = this.readString(0);
-        this.name = this.readPascalString(1);
+        this.scriptSrcText = this.readString(CastInfoItem.kScriptSrcText);
+        this.name = this.readPascalString(CastInfoItem.kName);
+        this.filePath = this.readPascalString(CastInfoItem.kFilePath);
+        this.fileName = this.readPascalString(CastInfoItem.kFileName);
+        this.fileType = this.readPascalString(CastInfoItem.kFileType);
+        this.scriptEditInfo = this.readEditInfo(CastInfoItem.kScriptEditInfo);
+        this.textEditInfo = this.readEditInfo(CastInfoItem.kTextEditInfo);
+        this.rteEditInfo = this.readEditInfo(CastInfoItem.kRTEEditInfo);
+        if (this.itemLength(CastInfoItem.kXtraGUID) >= 16) {
+            this.xtraGUID = readGUIDString(new ReadStream(this.items[CastInfoItem.kXtraGUID], this.itemEndianness));
+        }
+        this.xtraName = this.readPascalString(CastInfoItem.kXtraName);
+        this.mediaFormatName = this.readCString(CastInfoItem.kMediaFormatName);
+        if (this.itemLength(CastInfoItem.kCreationDate) >= 4) {
+            this.creationDate = this.readUint32(CastInfoItem.kCreationDate);
+        }
+        if (this.itemLength(CastInfoItem.kModifiedDate) >= 4) {
+            this.modifiedDate = this.readUint32(CastInfoItem.kModifiedDate);
+        }
+        this.modifiedBy = this.readCString(CastInfoItem.kModifiedBy);
+        this.comments = this.readCString(CastInfoItem.kComments);
+        if (this.itemLength(CastInfoItem.kImageCompression) >= 4) {
+            this.imageCompression = this.readUint32(CastInfoItem.kImageCompression);
+        }
+        if (this.itemLength(CastInfoItem.kImageQuality) >= 4) {
+            this.imageQuality = this.readUint32(CastInfoItem.kImageQuality);
+        }
+    }
+
+    itemLength(index) {
+        return index < this.offsetTableLen ? this.items[index].size : 0;
+    }
+
+    /**
+     * A plain string item, which may end in a NUL
+     */
+    readCString(index) {
+        return this.readString(index).replace(/\0+$/, '');
+    }
 
+    get creationTime() {
+        return this.creationDate ? new Date(kMacEpoch + this.creationDate * 1000) : null;
+    }
+
+    get modifiedTime() {
+        return this.modifiedDate ? new Date(kMacEpoch + this.modifiedDate * 1000) : null;
+    }
+
+    readEditInfo(index) {
+        if (this.itemLength(index) < 16) return null;
+
+        const editInfo = new EditInfo();
+        editInfo.read(new ReadStream(this.items[index], this.itemEndianness));
+        return editInfo;
+    }
+
+    computeOffsetTable() {
         // Workaround: Increase table len for decompilation results
-        if (this.offsetTableLen === 0) {
+        if (this.offsetTableLen === 0 && this.scriptSrcText) {
             this.offsetTableLen = 1;
-            this.offsetTable = [0];
         }
+        super.computeOffsetTable();
     }
 
     readHeader(stream) {
@@ -298,6 +559,42 @@ export class CastInfoChunk extends ListChunk {
         this.flags = stream.readUint32();
         this.scriptId = stream.readUint32();
     }
+
+    writeHeader(stream) {
+        stream.writeUint32(this.dataOffset);
+        stream.writeUint32(this.unk1);
+        stream.writeUint32(this.unk2);
+        stream.writeUint32(this.flags);
+        stream.writeUint32(this.scriptId);
+    }
+
+    itemSize(index) {
+        switch (index) {
+            case 0:
+                return this.scriptSrcText.length;
+            case 1:
+                if (!this.name && super.itemSize(index) === 0) return 0;
+                return 1 + this.name.length;
+            default:
+                return super.itemSize(index);
+        }
+    }
+
+    writeItem(stream, index) {
+        switch (index) {
+            case 0:
+                stream.writeString(this.scriptSrcText);
+                break;
+            case 1:
+                if (this.itemSize(index) > 0) {
+                    stream.writePascalString(this.name);
+                }
+                break;
+            default:
+                super.writeItem(stream, index);
+                break;
+        }
+    }
 }
 
 /**
@@ -376,6 +673,53 @@ export class CastMemberChunk extends Chunk {
         }
     }
 
+    size() {
+        this.infoLen = this.info ? this.info.size() : 0;
+        if (this.dir.version >= 500) {
+            this.specificDataLen = this.specificData ? this.specificData.size : 0;
+            return 12 + this.infoLen + this.specificDataLen;
+        }
+        this.specificDataLen = 1 + (this.hasFlags1 ? 1 : 0) + (this.specificData ? this.specificData.size : 0);
+        return 6 + this.specificDataLen + this.infoLen;
+    }
+
+    write(stream) {
+        stream.endianness = Endianness.kBigEndian;
+        this.size(); // refresh infoLen and specificDataLen
+
+        if (this.dir.version >= 500) {
+            stream.writeUint32(this.type);
+            stream.writeUint32(this.infoLen);
+            stream.writeUint32(this.specificDataLen);
+            if (this.info) {
+                this.writeInfo(stream);
+            }
+            if (this.specificData) {
+                stream.writeBytes(this.specificData);
+            }
+        } else {
+            stream.writeUint16(this.specificDataLen);
+            stream.writeUint32(this.infoLen);
+            stream.writeUint8(this.type);
+            if (this.hasFlags1) {
+                stream.writeUint8(this.flags1);
+            }
+            if (this.specificData) {
+                stream.writeBytes(this.specificData);
+            }
+            if (this.info) {
+                this.writeInfo(stream);
+            }
+        }
+    }
+
+    writeInfo(stream) {
+        // The list chunk seeks relative to its own start, so give it its own stream
+        const infoStream = new WriteStream(this.infoLen, stream.endianness);
+        this.info.write(infoStream);
+        stream.writeBytes(infoStream.getBuffer());
+    }
+
     getScriptID() {
         if (this.info) {
             return this.info.scriptId;
@@ -404,6 +748,23 @@ export class CastMemberChunk extends Chunk {
         }
         return '';
     }
+
+    /**
+     * The full path of the file a linked member was imported from, or ''
+     */
+    getLinkedFilePath() {
+        if (this.info && this.info.fileName) {
+            return this.info.filePath + this.info.fileName;
+        }
+        return '';
+    }
+
+    getComments() {
+        if (this.info) {
+            return this.info.comments;
+        }
+        return '';
+    }
 }
 
 /**
@@ -471,11 +832,140 @@ export class ConfigChunk extends Chunk {
         this.remnants = stream.readByteView(this.len - stream.pos);
     }
 
+    size() {
+        return this.len;
+    }
+
+    write(stream) {
+        stream.endianness = Endianness.kBigEndian;
+        const ver = humanVersion(this.directorVersion);
+
+        stream.writeInt16(this.len);
+        stream.writeInt16(this.fileVersion);
+        stream.writeInt16(this.movieTop);
+        stream.writeInt16(this.movieLeft);
+        stream.writeInt16(this.movieBottom);
+        stream.writeInt16(this.movieRight);
+        stream.writeInt16(this.minMember);
+        stream.writeInt16(this.maxMember);
+        stream.writeInt8(this.field9);
+        stream.writeInt8(this.field10);
+
+        if (ver < 700) {
+            stream.writeInt16(this.preD7field11);
+        } else {
+            stream.writeUint8(this.D7stageColorG);
+            stream.writeUint8(this.D7stageColorB);
+        }
+
+        stream.writeInt16(this.commentFont);
+        stream.writeInt16(this.commentSize);
+        stream.writeUint16(this.commentStyle);
+
+        if (ver < 700) {
+            stream.writeInt16(this.preD7stageColor);
+        } else {
+            stream.writeUint8(this.D7stageColorIsRGB);
+            stream.writeUint8(this.D7stageColorR);
+        }
+
+        stream.writeInt16(this.bitDepth);
+        stream.writeUint8(this.field17);
+        stream.writeUint8(this.field18);
+        stream.writeInt32(this.field19);
+        stream.writeInt16(this.directorVersion);
+        stream.writeInt16(this.field21);
+        stream.writeInt32(this.field22);
+        stream.writeInt32(this.field23);
+        stream.writeInt32(this.field24);
+        stream.writeInt8(this.field25);
+        stream.writeUint8(this.field26);
+        stream.writeInt16(this.frameRate);
+        stream.writeInt16(this.platform);
+        stream.writeInt16(this.protection);
+        stream.writeInt32(this.field29);
+        stream.writeUint32(this.checksum);
+        stream.writeBytes(this.remnants);
+    }
+
     unprotect() {
         this.fileVersion = this.directorVersion;
         if (this.protection % 23 === 0) {
             this.protection += 1;
         }
+        this.updateChecksum();
+    }
+
+    /**
+     * The checksum Director expects for the current field values. It is
+     * computed with 32-bit signed integer arithmetic.
+     */
+    computeChecksum() {
+        const ver = humanVersion(this.directorVersion);
+        const div = (a, b) => (b === 0 ? a : (a / b) | 0);
+
+        let check = this.len + 1;
+        check = Math.imul(check, this.fileVersion + 2);
+        check = div(check, this.movieTop + 3);
+        check = Math.imul(check, this.movieLeft + 4);
+        check = div(check, this.movieBottom + 5);
+        check = Math.imul(check, this.movieRight + 6);
+        check = (check - (this.minMember + 7)) | 0;
+        check = Math.imul(check, this.maxMember + 8);
+        check = (check - (this.field9 + 9)) | 0;
+        check = (check - (this.field10 + 10)) | 0;
+
+        const operand11 = ver < 700
+            ? this.preD7field11
+            : (((this.D7stageColorG << 8) | this.D7stageColorB) << 16) >> 16;
+        check = (check + operand11 + 11) | 0;
+
+        check = Math.imul(check, this.commentFont + 12);
+        check = (check + this.commentSize + 13) | 0;
+
+        const operand14 = ver < 800 ? (this.commentStyle >> 8) & 0xFF : this.commentStyle;
+        check = Math.imul(check, operand14 + 14);
+
+        const operand15 = ver < 700 ? this.preD7stageColor : this.D7stageColorR;
+        check = (check + operand15 + 15) | 0;
+
+        check = (check + this.bitDepth + 16) | 0;
+        check = (check + this.field17 + 17) | 0;
+        check = Math.imul(check, this.field18 + 18);
+        check = (check + this.field19 + 19) | 0;
+        check = Math.imul(check, this.directorVersion + 20);
+        check = (check + this.field21 + 21) | 0;
+        check = (check + this.field22 + 22) | 0;
+        check = (check + this.field23 + 23) | 0;
+        check = (check + this.field24 + 24) | 0;
+        check = Math.imul(check, this.field25 + 25);
+        check = (check + this.frameRate + 26) | 0;
+        check = Math.imul(check, this.platform + 27);
+        check = Math.imul(check, (Math.imul(this.protection, 0xE06) + 0xFF450000) | 0);
+        check ^= FOURCC('r', 'a', 'l', 'f');
+
+        return check >>> 0;
+    }
+
+    verifyChecksum() {
+        return this.checksum === this.computeChecksum();
+    }
+
+    /**
+     * The movie's default palette (Director 4+), the second field after the
+     * checksum. Like bitmap palette IDs, built-in palettes are stored one
+     * higher than their ID. Returns 0 if there is none.
+     */
+    get defaultPalette() {
+        if (humanVersion(this.directorVersion) < 400 || !this.remnants || this.remnants.size < 4) return 0;
+        const stream = new ReadStream(this.remnants, Endianness.kBigEndian);
+        stream.seek(2);
+        const id = stream.readInt16();
+        return id <= 0 ? id - 1 : id;
+    }
+
+    updateChecksum() {
+        this.checksum = this.computeChecksum();
     }
 }
 
@@ -496,6 +986,19 @@ export class InitialMapChunk extends Chunk {
         this.unused2 = stream.readUint32();
         this.unused3 = stream.readUint32();
     }
+
+    size() {
+        return 24;
+    }
+
+    write(stream) {
+        stream.writeUint32(this.version);
+        stream.writeUint32(this.mmapOffset);
+        stream.writeUint32(this.directorVersion);
+        stream.writeUint32(this.unused1);
+        stream.writeUint32(this.unused2);
+        stream.writeUint32(this.unused3);
+    }
 }
 
 /**
@@ -520,6 +1023,20 @@ export class KeyTableChunk extends Chunk {
             this.entries.push(entry);
         }
     }
+
+    size() {
+        return 12 + this.entries.length * this.entrySize;
+    }
+
+    write(stream) {
+        stream.writeUint16(this.entrySize);
+        stream.writeUint16(this.entrySize2);
+        stream.writeUint32(this.entries.length);
+        stream.writeUint32(this.usedCount);
+        for (const entry of this.entries) {
+            entry.write(stream);
+        }
+    }
 }
 
 /**
@@ -548,4 +1065,104 @@ export class MemoryMapChunk extends Chunk {
             this.mapArray.push(entry);
         }
     }
+
+    size() {
+        return this.headerLength + this.chunkCountMax * this.entryLength;
+    }
+
+    write(stream) {
+        stream.writeInt16(this.headerLength);
+        stream.writeInt16(this.entryLength);
+        stream.writeInt32(this.chunkCountMax);
+        stream.writeInt32(this.chunkCountUsed);
+        stream.writeInt32(this.junkHead);
+        stream.writeInt32(this.junkHead2);
+        stream.writeInt32(this.freeHead);
+        for (const entry of this.mapArray) {
+            entry.write(stream);
+        }
+    }
+}
+
+/**
+ * FontMapChunk - Font IDs and names used by text in the movie (Fmap)
+ */
+export class FontMapChunk extends Chunk {
+    constructor(dir) {
+        super(dir, ChunkType.kFontMapChunk);
+        this.entries = [];
+        this.data = null;
+        // Written back as read, so a round-trip check proves nothing
+        this.writesOriginalData = true;
+    }
+
+    read(stream) {
+        // Names are stored by offset, so keep the original bytes for writing
+        this.data = stream.readByteView(stream.size);
+        stream.seek(0);
+
+        this.entries = [];
+        if (stream.size === 0) return;
+
+        const mapLength = stream.readUint32();
+        this.namesLength = stream.readUint32();
+        const namesStart = stream.pos + mapLength;
+
+        this.unk1 = stream.readUint32();
+        this.unk2 = stream.readUint32();
+        this.entriesUsed = stream.readUint32();
+        this.entriesTotal = stream.readUint32();
+        this.unk3 = stream.readUint32();
+        this.unk4 = stream.readUint32();
+        this.unk5 = stream.readUint32();
+
+        for (let i = 0; i < this.entriesUsed; i++) {
+            const nameOffset = stream.readUint32();
+            const platformID = stream.readUint16();
+            const id = stream.readUint16();
+
+            const returnPos = stream.pos;
+            stream.seek(namesStart + nameOffset);
+            const nameLength = stream.readUint32();
+            const name = stream.readString(nameLength);
+            stream.seek(returnPos);
+
+            this.entries.push({ id, name, platform: fontPlatformFromID(platformID) });
+        }
+    }
+
+    size() {
+        return this.data.size;
+    }
+
+    write(stream) {
+        stream.writeBytes(this.data);
+    }
+}
+
+/**
+ * FontXMapChunk - Cross-platform font substitution text (FXmp, FONTMAP.TXT)
+ */
+export class FontXMapChunk extends Chunk {
+    constructor(dir) {
+        super(dir, ChunkType.kFontXMapChunk);
+        this.text = '';
+        this.substitutions = [];
+        this.charMaps = [];
+    }
+
+    read(stream) {
+        this.text = stream.readString(stream.size);
+        const parsed = parseFontXMap(this.text);
+        this.substitutions = parsed.substitutions;
+        this.charMaps = parsed.charMaps;
+    }
+
+    size() {
+        return this.text.length;
+    }
+
+    write(stream) {
+        stream.writeString(this.text);
+    }
 }
@@ -4,18 +4,90 @@
  * file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
-import { ReadStream, BufferView } from '../stream.js';
+import { ReadStream, WriteStream, BufferView } from '../stream.js';
 import { Endianness, FOURCC, fourCCToString } from '../lingodec/enums.js';
 import {
     CastChunk, CastListChunk, CastMemberChunk, CastInfoChunk,
     ConfigChunk, InitialMapChunk, KeyTableChunk, MemoryMapChunk,
+    FontMapChunk, FontXMapChunk,
     humanVersion, MemberType, ScriptType
 } from './chunk.js';
+import { MemoryMapEntry, KeyTableEntry } from './subchunk.js';
+import { splitShockwaveAudio, parseSndHeader, buildSndChunk } from './sound.js';
+import { FontMap } from './fontmap.js';
+import { MacFileWrapper } from './macfile.js';
+import { ResourceFork } from './resfork.js';
+import { ScoreChunk, FrameLabelsChunk, FilmLoopChunk } from './score.js';
+import { XtraListChunk } from './xtras.js';
+import { parseStyledText } from './text.js';
 import { Script } from '../lingodec/script.js';
 
 const kRIFXHeaderSize = 12;
 const kChunkHeaderSize = 8;
 
+// Resource types that belong to a single cast member in Director 2/3 movies
+const RESOURCE_MEMBER_DATA = [
+    FOURCC('B', 'I', 'T', 'D'),
+    FOURCC('S', 'T', 'X', 'T'),
+    FOURCC('C', 'L', 'U', 'T'),
+    FOURCC('s', 'n', 'd', ' '),
+    FOURCC('V', 'W', 'C', 'I')
+];
+const kFirstCastResourceID = 1024;
+
+/**
+ * Whether a buffer starts with a RIFX (or byte-swapped XFIR) container
+ */
+export function isRIFXContainer(buffer) {
+    if (buffer.byteLength < 4) return false;
+    const metaFourCC = new DataView(buffer).getUint32(0, false);
+    return metaFourCC === FOURCC('R', 'I', 'F', 'X') || metaFourCC === FOURCC('X', 'F', 'I', 'R');
+}
+
+/**
+ * ChunkError - A failure while reading a particular chunk
+ */
+export class ChunkError extends Error {
+    constructor(message, fourCC, id, offset) {
+        super(message);
+        this.name = 'ChunkError';
+        this.fourCC = fourCC;
+        this.id = id;
+        this.offset = offset;
+    }
+}
+
+/**
+ * Diagnostic - A problem found while reading a file, and where it was found
+ */
+export class Diagnostic {
+    constructor(stage, message, fourCC = 0, id = -1, offset = -1) {
+        this.stage = stage;
+        this.message = message;
+        this.fourCC = fourCC;
+        this.id = id;
+        this.offset = offset;
+    }
+
+    toString() {
+        let location = '';
+        if (this.fourCC) location += " '" + fourCCToString(this.fourCC) + "'";
+        if (this.id >= 0) location += ' chunk ' + this.id;
+        if (this.offset >= 0) location += ' at offset ' + this.offset;
+        return '[' + this.stage + ']' + location + ': ' + this.message;
+    }
+
+    toJSON() {
+        return {
+            stage: this.stage,
+            id: this.id,
+            fourCC: this.fourCC ? fourCCToString(this.fourCC) : '',
+            offset: this.offset,
+            message: this.message
+        };
+    }
+}
+
 /**
  * MoaID - GUID-like identifier for compression types
  */
@@ -54,6 +126,14 @@ export const ZLIB_COMPRESSION_GUID = new MoaID(0xAC99E904, 0x0070, 0x0B36, 0x00,
 export const SND_COMPRESSION_GUID = new MoaID(0x7204A889, 0xAFD0, 0x11CF, 0xA2, 0x22, 0x00, 0xA0, 0x24, 0x53, 0x44, 0x4C);
 export const FONTMAP_COMPRESSION_GUID = new MoaID(0x8A4679A1, 0x3720, 0x11D0, 0x92, 0x23, 0x00, 0xA0, 0xC9, 0x08, 0x68, 0xB1);
 
+export function compressionName(compressionID) {
+    if (compressionID.equals(NULL_COMPRESSION_GUID)) return 'None';
+    if (compressionID.equals(ZLIB_COMPRESSION_GUID)) return 'zlib';
+    if (compressionID.equals(SND_COMPRESSION_GUID)) return 'Shockwave Audio';
+    if (compressionID.equals(FONTMAP_COMPRESSION_GUID)) return 'Default font map';
+    return compressionID.toString();
+}
+
 /**
  * ChunkInfo - Information about a chunk in the file
  */
@@ -77,6 +157,9 @@ export class DirectorFile {
         this._ilsBuf = null;
         this._cachedChunkBufs = new Map();
         this._cachedChunkViews = new Map();
+        // Shockwave Audio chunks as stored, until decodeCompressedSounds() rebuilds them
+        this._compressedSoundViews = new Map();
+        this._shockwaveAudio = new Map();
 
         this.stream = null;
         this.keyTable = null;
@@ -88,23 +171,140 @@ export class DirectorFile {
         this.dotSyntax = false;
         this.codec = 0;
         this.afterburned = false;
+        // Afterburner compression types listed in Fcdr: { id, description }
+        this.compressionTypes = [];
 
         this.chunkIDsByFourCC = new Map();
         this.chunkInfo = new Map();
         this.deserializedChunks = new Map();
 
         this.casts = [];
+        this.score = null;
+        this.frameLabels = null;
+        this.xtraList = null;
+
+        this.fontMap = new FontMap();
+
+        // MacBinary/AppleSingle/AppleDouble container the file was wrapped in
+        this.macFile = null;
+
+        // Set for Director 2/3 movies, which are read from a resource fork
+        this.resourceFork = null;
 
         this.initialMap = null;
         this.memoryMap = null;
+
+        // Chunks that Afterburner bundled into the initial load segment
+        this.ilsChunkIDs = new Set();
+
+        // Director version recorded by the imap or Fver, used when the config is unreadable
+        this.mapDirectorVersion = 0;
+
+        // Problems found while reading. In recovery mode, reading skips
+        // whatever is broken and keeps loading the rest.
+        this.recoveryMode = false;
+        this.stage = '';
+        this.diagnostics = [];
+
+        // Round-trip verification: re-serialize every chunk after reading it
+        this.verifyRoundTrip = false;
+        this.roundTripChecked = 0;
+        this.roundTripMismatches = [];
+        // Chunks written back as the bytes they were read from, which are not checked
+        this.roundTripUnverified = [];
     }
 
     /**
-     * Read a Director file from an ArrayBuffer
+     * Read a Director file from an ArrayBuffer. Returns false if it could not
+     * be read; the reasons are left in diagnostics.
      */
     read(buffer) {
+        this.diagnostics = [];
+        this.stage = 'container';
+
+        const macFile = new MacFileWrapper();
+        if (macFile.read(buffer)) {
+            // Keep the Finder info of an AppleDouble companion attached before reading
+            if (this.macFile) {
+                macFile.mergeAppleDouble(this.macFile);
+            }
+            this.macFile = macFile;
+            buffer = macFile.dataFork;
+        }
+
+        // Director 2 and 3 movies keep everything in the resource fork
+        if (!buffer || !isRIFXContainer(buffer)) {
+            const forkBuffer = (this.macFile && this.macFile.resourceFork) || buffer;
+            const resourceFork = new ResourceFork();
+            if (forkBuffer && resourceFork.read(forkBuffer)) {
+                return this.readResourceFork(resourceFork, forkBuffer);
+            }
+            if (!buffer) {
+                this.addDiagnostic(this.macFile.format + ' file has no data fork');
+                return false;
+            }
+        }
+
         this.stream = new ReadStream(buffer, Endianness.kBigEndian);
 
+        // Without a chunk map there is nothing to recover
+        if (!this.runStage('map', this.readMap)) return false;
+
+        if (!this.runStage('keyTable', this.readKeyTable)) {
+            if (!this.recoveryMode) return false;
+            this.keyTable = new KeyTableChunk(this);
+        }
+        if (!this.runStage('config', this.readConfig)) {
+            if (!this.recoveryMode) return false;
+            this.recoverVersion();
+        }
+        if (!this.runStage('casts', this.readCasts) && !this.recoveryMode) return false;
+        this.runStage('fontMap', this.readFontMap);
+        this.runStage('score', this.readScore);
+        this.runStage('xtras', this.readXtraList);
+
+        this.stage = 'assets';
+        return true;
+    }
+
+    /**
+     * Run one stage of reading, turning exceptions into diagnostics.
+     * Returns false if the stage failed.
+     */
+    runStage(stage, readFn) {
+        this.stage = stage;
+        try {
+            return readFn.call(this) !== false;
+        } catch (e) {
+            this.reportError(e);
+            return false;
+        }
+    }
+
+    addDiagnostic(message, fourCC = 0, id = -1, offset = -1) {
+        const diagnostic = new Diagnostic(this.stage, message, fourCC, id, offset);
+        this.diagnostics.push(diagnostic);
+        console.warn(diagnostic.toString());
+        return diagnostic;
+    }
+
+    reportError(error) {
+        if (error instanceof ChunkError) {
+            return this.addDiagnostic(error.message, error.fourCC, error.id, error.offset);
+        }
+        return this.addDiagnostic(error.message);
+    }
+
+    /**
+     * In recovery mode, record a failure and let the caller skip past it;
+     * otherwise rethrow it to stop the current stage
+     */
+    recoverFrom(error) {
+        if (!this.recoveryMode) throw error;
+        this.reportError(error);
+    }
+
+    readMap() {
         // Meta
         const metaFourCC = this.stream.readUint32();
         if (metaFourCC === FOURCC('X', 'F', 'I', 'R')) {
@@ -117,32 +317,38 @@ export class DirectorFile {
         // Codec-dependent map
         if (this.codec === FOURCC('M', 'V', '9', '3') || this.codec === FOURCC('M', 'C', '9', '5')) {
             this.readMemoryMap();
+            return true;
         } else if (this.codec === FOURCC('F', 'G', 'D', 'M') || this.codec === FOURCC('F', 'G', 'D', 'C')) {
             this.afterburned = true;
-            if (!this.readAfterburnerMap()) {
-                return false;
-            }
-        } else {
-            console.warn('Codec unsupported: ' + fourCCToString(this.codec));
-            return false;
+            return this.readAfterburnerMap();
         }
 
-        if (!this.readKeyTable()) return false;
-        if (!this.readConfig()) return false;
-        if (!this.readCasts()) return false;
+        this.addDiagnostic('Codec unsupported: ' + fourCCToString(this.codec), metaFourCC, -1, 0);
+        return false;
+    }
 
-        return true;
+    /**
+     * Without a config chunk, fall back on the Director version recorded
+     * in the initial map or the Afterburner header
+     */
+    recoverVersion() {
+        if (!this.mapDirectorVersion) {
+            this.addDiagnostic('Director version unknown; member data may be misread');
+            return;
+        }
+        this.version = humanVersion(this.mapDirectorVersion);
+        this.dotSyntax = (this.version >= 700);
+        this.addDiagnostic('Assuming Director version ' + this.version + ' from the file map');
     }
 
     readMemoryMap() {
         // Initial map
-        const imap = this.readChunk(FOURCC('i', 'm', 'a', 'p'));
-        this.deserializedChunks.set(1, imap);
+        const imap = this.readMapChunk(FOURCC('i', 'm', 'a', 'p'), 1);
+        this.mapDirectorVersion = imap.directorVersion;
 
         // Memory map
         this.stream.seek(imap.mmapOffset);
-        const mmap = this.readChunk(FOURCC('m', 'm', 'a', 'p'));
-        this.deserializedChunks.set(2, mmap);
+        const mmap = this.readMapChunk(FOURCC('m', 'm', 'a', 'p'), 2);
 
         for (let i = 0; i < mmap.mapArray.length; i++) {
             const mapEntry = mmap.mapArray[i];
@@ -167,10 +373,167 @@ export class DirectorFile {
         }
     }
 
+    // imap and mmap are read in place, before there is a chunk table to look them up in
+    readMapChunk(fourCC, id) {
+        const offset = this.stream.pos;
+        let view, chunk;
+        try {
+            view = this.readChunkData(fourCC, null);
+            chunk = this.makeChunk(fourCC, view);
+        } catch (e) {
+            throw new ChunkError(e.message, fourCC, id, offset);
+        }
+        this.deserializedChunks.set(id, chunk);
+        this.verifyChunk(fourCC, id, view, chunk);
+        return chunk;
+    }
+
+    /**
+     * Read a Director 2/3 movie from a Mac resource fork. Each resource
+     * stands in for a chunk; there is no KEY* or CAS*, so the key table and
+     * cast are rebuilt from VWCR and the resource IDs.
+     */
+    readResourceFork(resourceFork, buffer) {
+        this.resourceFork = resourceFork;
+        this.stream = new ReadStream(buffer, Endianness.kBigEndian);
+        this.endianness = Endianness.kBigEndian;
+
+        for (let i = 0; i < resourceFork.resources.length; i++) {
+            const resource = resourceFork.resources[i];
+
+            const info = new ChunkInfo();
+            info.id = i;
+            info.fourCC = resource.type;
+            info.len = resource.length;
+            info.uncompressedLen = resource.length;
+            info.offset = resource.offset;
+            info.compressionID = NULL_COMPRESSION_GUID;
+            this.chunkInfo.set(i, info);
+
+            if (!this.chunkIDsByFourCC.has(resource.type)) {
+                this.chunkIDsByFourCC.set(resource.type, []);
+            }
+            this.chunkIDsByFourCC.get(resource.type).push(i);
+        }
+
+        if (!this.runStage('config', this.readConfig)) return false;
+        this.runStage('casts', this.readResourceCast);
+        this.runStage('score', this.readScore);
+        this.stage = 'assets';
+        return true;
+    }
+
+    readResourceCast() {
+        const cast = new CastChunk(this);
+        cast.name = 'Internal';
+        this.casts.push(cast);
+
+        const vwcr = this.getFirstChunkInfo(FOURCC('V', 'W', 'C', 'R'));
+        if (vwcr) {
+            this.readCastRecords(cast, this.getChunkData(vwcr.fourCC, vwcr.id));
+        } else {
+            this.addDiagnostic('No VWCR resource; the cast is empty', FOURCC('V', 'W', 'C', 'R'));
+        }
+
+        // Member N's resources have ID 1024 + N; key them by member number so
+        // lookups work as in RIFX files
+        this.keyTable = new KeyTableChunk(this);
+        for (const [id, info] of this.chunkInfo) {
+            if (!RESOURCE_MEMBER_DATA.includes(info.fourCC)) continue;
+            const entry = new KeyTableEntry();
+            entry.sectionID = id;
+            entry.castID = this.resourceFork.resources[id].id - kFirstCastResourceID;
+            entry.fourCC = info.fourCC;
+            this.keyTable.entries.push(entry);
+        }
+
+        for (const member of cast.members.values()) {
+            const infoID = this.findMemberResource(member.id, FOURCC('V', 'W', 'C', 'I'));
+            if (infoID === null) continue;
+            try {
+                member.info = this.makeChunk(FOURCC('V', 'W', 'C', 'I'), this.getChunkData(FOURCC('V', 'W', 'C', 'I'), infoID));
+            } catch (e) {
+                const info = this.chunkInfo.get(infoID);
+                this.addDiagnostic('Could not read info for member ' + member.id + ': ' + e.message,
+                    info.fourCC, infoID, info.offset);
+            }
+        }
+
+        this.readSourceScripts(cast);
+    }
+
+    /**
+     * Parse the VWCR cast record table. Each record is a length byte followed
+     * by the same type/flags/specific data layout as a pre-D5 CASt chunk.
+     */
+    readCastRecords(cast, view) {
+        const stream = new ReadStream(view, Endianness.kBigEndian);
+        for (let id = this.config.minMember; !stream.eof(); id++) {
+            const size = stream.readUint8();
+            if (size === 0) continue;
+
+            const member = new CastMemberChunk(this);
+            member.id = id;
+            member.castLibID = kFirstCastResourceID;
+            member.specificDataLen = size;
+            member.type = stream.readUint8();
+            member.hasFlags1 = size > 1;
+            if (member.hasFlags1) {
+                member.flags1 = stream.readUint8();
+            }
+            member.specificData = stream.readByteView(Math.max(size - 2, 0));
+            if (member.type === MemberType.kScriptMember && member.specificData.size >= 2) {
+                member.scriptType = new ReadStream(member.specificData, Endianness.kBigEndian).readUint16();
+            }
+            cast.members.set(id, member);
+        }
+    }
+
+    findMemberResource(memberID, fourCC) {
+        const entry = this.keyTable.entries.find(entry => entry.castID === memberID && entry.fourCC === fourCC);
+        return entry ? entry.sectionID : null;
+    }
+
+    /**
+     * Director 2/3 Lingo is stored as source text, not bytecode. Script members
+     * keep it in STXT, with the score/movie script type in their cast record;
+     * scripts attached to other members are in their VWCI info.
+     */
+    readSourceScripts(cast) {
+        for (const member of cast.members.values()) {
+            let text = '';
+            if (member.type === MemberType.kScriptMember) {
+                const stxtID = this.findMemberResource(member.id, FOURCC('S', 'T', 'X', 'T'));
+                if (stxtID !== null) text = this.readSTXTText(stxtID);
+            } else if (member.getScriptText()) {
+                text = member.getScriptText();
+            }
+            if (text) {
+                member.script = new SourceScript(text, member.id);
+                cast.sourceScripts.push({ member, script: member.script });
+            }
+        }
+    }
+
+    readSTXTText(id) {
+        const stream = new ReadStream(this.getChunkData(FOURCC('S', 'T', 'X', 'T'), id), Endianness.kBigEndian);
+        const textOffset = stream.readUint32();
+        const textLength = stream.readUint32();
+        stream.seek(textOffset);
+        return stream.readString(Math.min(textLength, stream.size - textOffset));
+    }
+
+    /**
+     * Read an STXT chunk's text bytes together with its style runs
+     */
+    readStyledText(id) {
+        return parseStyledText(this.getChunkData(FOURCC('S', 'T', 'X', 'T'), id));
+    }
+
     readAfterburnerMap() {
         // File version
         if (this.stream.readUint32() !== FOURCC('F', 'v', 'e', 'r')) {
-            console.warn('readAfterburnerMap(): Fver expected but not found');
+            this.addDiagnostic('Fver expected but not found', FOURCC('F', 'v', 'e', 'r'), -1, this.stream.pos - 4);
             return false;
         }
 
@@ -180,7 +543,7 @@ export class DirectorFile {
 
         if (fverVersion >= 0x401) {
             this.stream.readVarInt(); // imapVersion
-            this.stream.readVarInt(); // directorVersion
+            this.mapDirectorVersion = this.stream.readVarInt();
         }
         if (fverVersion >= 0x501) {
             const versionStringLen = this.stream.readUint8();
@@ -194,17 +557,18 @@ export class DirectorFile {
 
         // Compression types
         if (this.stream.readUint32() !== FOURCC('F', 'c', 'd', 'r')) {
-            console.warn('readAfterburnerMap(): Fcdr expected but not found');
+            this.addDiagnostic('Fcdr expected but not found', FOURCC('F', 'c', 'd', 'r'), -1, this.stream.pos - 4);
             return false;
         }
 
         const fcdrLength = this.stream.readVarInt();
+        const fcdrOffset = this.stream.pos;
         const fcdrCompressed = this.stream.readBytes(fcdrLength);
         let fcdrBuf;
         try {
             fcdrBuf = pako.inflate(fcdrCompressed);
         } catch (e) {
-            console.warn('Fcdr: Could not decompress', e);
+            this.addDiagnostic('Could not decompress: ' + e.message, FOURCC('F', 'c', 'd', 'r'), -1, fcdrOffset);
             return false;
         }
 
@@ -216,18 +580,19 @@ export class DirectorFile {
             id.read(fcdrStream);
             compressionIDs.push(id);
         }
-        // Skip compression descriptions
+        this.compressionTypes = [];
         for (let i = 0; i < compressionTypeCount; i++) {
-            fcdrStream.readCString();
+            this.compressionTypes.push({ id: compressionIDs[i], description: fcdrStream.readCString() });
         }
 
         // Afterburner map
         if (this.stream.readUint32() !== FOURCC('A', 'B', 'M', 'P')) {
-            console.warn('readAfterburnerMap(): ABMP expected but not found');
+            this.addDiagnostic('ABMP expected but not found', FOURCC('A', 'B', 'M', 'P'), -1, this.stream.pos - 4);
             return false;
         }
 
         const abmpLength = this.stream.readVarInt();
+        const abmpOffset = this.stream.pos;
         const abmpEnd = this.stream.pos + abmpLength;
         this.stream.readVarInt(); // compressionType
         const abmpUncompLength = this.stream.readVarInt();
@@ -237,7 +602,7 @@ export class DirectorFile {
         try {
             abmpBuf = pako.inflate(abmpCompressed);
         } catch (e) {
-            console.warn('ABMP: Could not decompress', e);
+            this.addDiagnostic('Could not decompress: ' + e.message, FOURCC('A', 'B', 'M', 'P'), -1, abmpOffset);
             return false;
         }
 
@@ -271,12 +636,12 @@ export class DirectorFile {
 
         // Initial load segment
         if (!this.chunkInfo.has(2)) {
-            console.warn('readAfterburnerMap(): Map has no entry for ILS');
+            this.addDiagnostic('Map has no entry for the initial load segment', FOURCC('A', 'B', 'M', 'P'), -1, abmpOffset);
             return false;
         }
 
         if (this.stream.readUint32() !== FOURCC('F', 'G', 'E', 'I')) {
-            console.warn('readAfterburnerMap(): FGEI expected but not found');
+            this.addDiagnostic('FGEI expected but not found', FOURCC('F', 'G', 'E', 'I'), 2, this.stream.pos - 4);
             return false;
         }
 
@@ -288,7 +653,8 @@ export class DirectorFile {
         try {
             this._ilsBuf = pako.inflate(ilsCompressed);
         } catch (e) {
-            console.warn('ILS: Could not decompress', e);
+            this.addDiagnostic('Could not decompress the initial load segment: ' + e.message,
+                FOURCC('F', 'G', 'E', 'I'), 2, this._ilsBodyOffset);
             return false;
         }
 
@@ -296,7 +662,13 @@ export class DirectorFile {
         while (!ilsStream.eof()) {
             const resId = ilsStream.readVarInt();
             const info = this.chunkInfo.get(resId);
-            this._cachedChunkViews.set(resId, ilsStream.readByteView(info.len));
+            const view = ilsStream.readByteView(info.len);
+            if (this.isSndCompressed(resId)) {
+                this._compressedSoundViews.set(resId, view);
+            } else {
+                this._cachedChunkViews.set(resId, view);
+            }
+            this.ilsChunkIDs.add(resId);
         }
 
         return true;
@@ -308,7 +680,7 @@ export class DirectorFile {
             this.keyTable = this.getChunk(info.fourCC, info.id);
             return true;
         }
-        console.warn('No key chunk!');
+        this.addDiagnostic('No key table (KEY*) chunk', FOURCC('K', 'E', 'Y', '*'));
         return false;
     }
 
@@ -325,7 +697,7 @@ export class DirectorFile {
             return true;
         }
 
-        console.warn('No config chunk!');
+        this.addDiagnostic('No config (DRCF/VWCF) chunk', FOURCC('D', 'R', 'C', 'F'));
         return false;
     }
 
@@ -336,7 +708,8 @@ export class DirectorFile {
             const info = this.getFirstChunkInfo(FOURCC('M', 'C', 's', 'L'));
             if (info) {
                 const castList = this.getChunk(info.fourCC, info.id);
-                for (const castEntry of castList.entries) {
+                const castChunkIDs = this.chunkIDsByFourCC.get(FOURCC('C', 'A', 'S', '*')) || [];
+                castList.entries.forEach((castEntry, index) => {
                     let sectionID = -1;
                     for (const keyEntry of this.keyTable.entries) {
                         if (keyEntry.castID === castEntry.id && keyEntry.fourCC === FOURCC('C', 'A', 'S', '*')) {
@@ -344,12 +717,25 @@ export class DirectorFile {
                             break;
                         }
                     }
+
+                    // With no key table, assume the casts were stored in cast list order
+                    if (sectionID <= 0 && this.keyTable.entries.length === 0 && index < castChunkIDs.length) {
+                        sectionID = castChunkIDs[index];
+                        this.addDiagnostic("Guessing CAS* chunk for cast '" + castEntry.name + "'",
+                            FOURCC('C', 'A', 'S', '*'), sectionID);
+                    }
+
                     if (sectionID > 0) {
-                        const cast = this.getChunk(FOURCC('C', 'A', 'S', '*'), sectionID);
-                        cast.populate(castEntry.name, castEntry.id, castEntry.minMember);
-                        this.casts.push(cast);
+                        try {
+                            const cast = this.getChunk(FOURCC('C', 'A', 'S', '*'), sectionID);
+                            cast.populate(castEntry.name, castEntry.id, castEntry.minMember);
+                            cast.castLibNumber = index + 1;
+                            this.casts.push(cast);
+                        } catch (e) {
+                            this.recoverFrom(e);
+                        }
                     }
-                }
+                });
                 return true;
             } else {
                 internal = false;
@@ -359,13 +745,90 @@ export class DirectorFile {
         const info = this.getFirstChunkInfo(FOURCC('C', 'A', 'S', '*'));
         if (info) {
             const cast = this.getChunk(info.fourCC, info.id);
-            cast.populate(internal ? 'Internal' : 'External', 1024, this.config.minMember);
+            cast.populate(internal ? 'Internal' : 'External', 1024, this.config ? this.config.minMember : 1);
             this.casts.push(cast);
         }
 
         return true;
     }
 
+    // The font map is optional; read() carries on if this stage fails
+    readFontMap() {
+        const fmapInfo = this.getFirstChunkInfo(FOURCC('F', 'm', 'a', 'p'));
+        if (fmapInfo) {
+            const fmap = this.getChunk(fmapInfo.fourCC, fmapInfo.id);
+            for (const entry of fmap.entries) {
+                this.fontMap.addFont(entry.id, entry.name, entry.platform);
+            }
+        }
+
+        const fxmpInfo = this.getFirstChunkInfo(FOURCC('F', 'X', 'm', 'p'));
+        if (fxmpInfo && this.isFontMapPlaceholder(fxmpInfo.id)) {
+            this.fontMap.usesDefaultFontMap = true;
+        } else if (fxmpInfo) {
+            const fxmp = this.getChunk(fxmpInfo.fourCC, fxmpInfo.id);
+            this.fontMap.substitutions = fxmp.substitutions;
+            this.fontMap.charMaps = fxmp.charMaps;
+        }
+    }
+
+    // The score is optional too; casts have none
+    readScore() {
+        const info = this.getFirstChunkInfo(FOURCC('V', 'W', 'S', 'C'));
+        if (info) {
+            this.score = this.getChunk(info.fourCC, info.id);
+        }
+
+        const labelsInfo = this.getFirstChunkInfo(FOURCC('V', 'W', 'L', 'B'));
+        if (labelsInfo) {
+            this.frameLabels = this.getChunk(labelsInfo.fourCC, labelsInfo.id);
+        }
+    }
+
+    // Only movies that use Xtras have an XTRl
+    readXtraList() {
+        const info = this.getFirstChunkInfo(FOURCC('X', 'T', 'R', 'l'));
+        if (info) {
+            this.xtraList = this.getChunk(info.fourCC, info.id);
+        }
+    }
+
+    /**
+     * Find a member from a score reference. Before Director 5 the score
+     * has no cast library numbers and everything is in the first cast.
+     */
+    getCastMember(castLib, memberID) {
+        const cast = castLib > 0
+            ? this.casts.find(c => c.castLibNumber === castLib)
+            : this.casts[0];
+        return (cast && cast.members.get(memberID)) || null;
+    }
+
+    /**
+     * Find the section ID of a member's data chunk (BITD, STXT, snd, ...).
+     * Key table entries point at either the member's slot number or its
+     * CASt section ID. Returns null if there is no such chunk.
+     */
+    findMemberDataChunk(memberID, member, fourCC) {
+        if (!this.keyTable) return null;
+
+        for (const entry of this.keyTable.entries) {
+            if (entry.castID === memberID && entry.fourCC === fourCC) {
+                return entry.sectionID;
+            }
+        }
+
+        const castSectionID = member && member.castSectionID;
+        if (castSectionID) {
+            for (const entry of this.keyTable.entries) {
+                if (entry.castID === castSectionID && entry.fourCC === fourCC) {
+                    return entry.sectionID;
+                }
+            }
+        }
+        return null;
+    }
+
     getFirstChunkInfo(fourCC) {
         const chunkIDs = this.chunkIDsByFourCC.get(fourCC);
         if (chunkIDs && chunkIDs.length > 0) {
@@ -385,12 +848,85 @@ export class DirectorFile {
             return this.deserializedChunks.get(id);
         }
 
-        const chunkView = this.getChunkData(fourCC, id);
-        const chunk = this.makeChunk(fourCC, chunkView);
+        let chunkView, chunk;
+        try {
+            chunkView = this.getChunkData(fourCC, id);
+            chunk = this.makeChunk(fourCC, chunkView);
+        } catch (e) {
+            // Failures in chunks loaded by this one already say where they came from
+            if (e instanceof ChunkError) throw e;
+            const info = this.chunkInfo.get(id);
+            throw new ChunkError(e.message, fourCC, id, info ? info.offset : -1);
+        }
         this.deserializedChunks.set(id, chunk);
+        this.verifyChunk(fourCC, id, chunkView, chunk);
         return chunk;
     }
 
+    /**
+     * Parse a chunk for inspection without adding it to deserializedChunks,
+     * so viewing a chunk can't change what is written back. Chunks the movie
+     * already loaded are returned as they are; script contexts still load
+     * their scripts and names through getChunk.
+     */
+    inspectChunk(fourCC, id) {
+        if (this.deserializedChunks.has(id)) {
+            return this.deserializedChunks.get(id);
+        }
+        return this.makeChunk(fourCC, this.getChunkData(fourCC, id));
+    }
+
+    /**
+     * Re-serialize a freshly read chunk and compare it byte-for-byte with
+     * the data it was read from. Only active when verifyRoundTrip is set.
+     */
+    verifyChunk(fourCC, id, view, chunk) {
+        if (!this.verifyRoundTrip) return true;
+        if (chunk.writesOriginalData) {
+            this.roundTripUnverified.push({ id: id, fourCC: fourCCToString(fourCC) });
+            return true;
+        }
+        this.roundTripChecked++;
+
+        const original = view.data;
+        let written;
+        try {
+            written = this.serializeWritable(chunk);
+        } catch (e) {
+            return this.reportRoundTripMismatch(fourCC, id, original.length, -1, -1, e.message);
+        }
+
+        const len = Math.min(original.length, written.length);
+        let firstDiff = -1;
+        for (let i = 0; i < len; i++) {
+            if (original[i] !== written[i]) {
+                firstDiff = i;
+                break;
+            }
+        }
+        if (firstDiff === -1 && original.length !== written.length) {
+            firstDiff = len;
+        }
+        if (firstDiff === -1) return true;
+
+        return this.reportRoundTripMismatch(fourCC, id, original.length, written.length, firstDiff,
+            'Bytes differ from offset ' + firstDiff);
+    }
+
+    reportRoundTripMismatch(fourCC, id, expectedSize, actualSize, offset, message) {
+        const mismatch = {
+            id: id,
+            fourCC: fourCCToString(fourCC),
+            expectedSize: expectedSize,
+            actualSize: actualSize,
+            offset: offset,
+            message: message
+        };
+        console.warn('Round-trip mismatch in ' + mismatch.fourCC + ' chunk ' + id + ': ' + message);
+        this.roundTripMismatches.push(mismatch);
+        return false;
+    }
+
     getChunkData(fourCC, id) {
         if (!this.chunkInfo.has(id)) {
             throw new Error('Could not find chunk ' + id);
@@ -418,16 +954,22 @@ export class DirectorFile {
                     const compressed = this.stream.readBytes(info.len);
                     const decompressed = pako.inflate(compressed);
                     this._cachedChunkViews.set(id, new BufferView(decompressed));
+                } else if (info.compressionID.equals(FONTMAP_COMPRESSION_GUID)) {
+                    // A marker for Director's stock font map; kept as stored (see isFontMapPlaceholder)
+                    this._cachedChunkViews.set(id, this.stream.readByteView(info.len));
                 } else {
-                    // SND compression not implemented for web version
-                    throw new Error('SND compression not implemented');
+                    throw new Error('Sound chunk ' + id + ' is Shockwave Audio and has not been decoded yet');
                 }
             } else if (info.compressionID.equals(NULL_COMPRESSION_GUID)) {
                 this._cachedChunkViews.set(id, this.stream.readByteView(info.len));
             } else {
-                console.warn('Unhandled compression type: ' + info.compressionID.toString());
+                this.addDiagnostic('Unhandled compression type: ' + info.compressionID.toString(), fourCC, id, info.offset);
                 this._cachedChunkViews.set(id, this.stream.readByteView(info.len));
             }
+        } else if (this.resourceFork) {
+            // Resources have no chunk header to validate
+            this.stream.seek(info.offset);
+            this._cachedChunkViews.set(id, this.stream.readByteView(info.len));
         } else {
             this.stream.seek(info.offset);
             this._cachedChunkViews.set(id, this.readChunkData(fourCC, info.len));
@@ -464,47 +1006,65 @@ export class DirectorFile {
     }
 
     makeChunk(fourCC, view) {
-        let chunk;
+        const ChunkClass = this.chunkClass(fourCC);
+        if (!ChunkClass) {
+            throw new Error("Could not deserialize '" + fourCCToString(fourCC) + "' chunk");
+        }
+        const chunk = new ChunkClass(this);
+
+        const chunkStream = new ReadStream(view, this.endianness);
+        chunk.read(chunkStream);
+        return chunk;
+    }
+
+    /**
+     * The class that deserializes a FourCC, or null if it is only available raw
+     */
+    chunkClass(fourCC) {
         switch (fourCC) {
             case FOURCC('i', 'm', 'a', 'p'):
-                chunk = new InitialMapChunk(this);
-                break;
+                return InitialMapChunk;
             case FOURCC('m', 'm', 'a', 'p'):
-                chunk = new MemoryMapChunk(this);
-                break;
+                return MemoryMapChunk;
             case FOURCC('C', 'A', 'S', '*'):
-                chunk = new CastChunk(this);
-                break;
+                return CastChunk;
             case FOURCC('C', 'A', 'S', 't'):
-                chunk = new CastMemberChunk(this);
-                break;
+                return CastMemberChunk;
             case FOURCC('K', 'E', 'Y', '*'):
-                chunk = new KeyTableChunk(this);
-                break;
+                return KeyTableChunk;
             case FOURCC('L', 'c', 't', 'x'):
             case FOURCC('L', 'c', 't', 'X'):
-                chunk = new ScriptContextChunk(this);
-                break;
+                return ScriptContextChunk;
             case FOURCC('L', 'n', 'a', 'm'):
-                chunk = new ScriptNamesChunk(this);
-                break;
+                return ScriptNamesChunk;
             case FOURCC('L', 's', 'c', 'r'):
-                chunk = new ScriptChunk(this);
-                break;
+                return ScriptChunk;
             case FOURCC('V', 'W', 'C', 'F'):
             case FOURCC('D', 'R', 'C', 'F'):
-                chunk = new ConfigChunk(this);
-                break;
+                return ConfigChunk;
+            case FOURCC('V', 'W', 'C', 'I'):
+                return CastInfoChunk;
             case FOURCC('M', 'C', 's', 'L'):
-                chunk = new CastListChunk(this);
-                break;
+                return CastListChunk;
+            case FOURCC('F', 'm', 'a', 'p'):
+                return FontMapChunk;
+            case FOURCC('F', 'X', 'm', 'p'):
+                return FontXMapChunk;
+            case FOURCC('V', 'W', 'S', 'C'):
+                return ScoreChunk;
+            case FOURCC('V', 'W', 'L', 'B'):
+                return FrameLabelsChunk;
+            case FOURCC('S', 'C', 'V', 'W'):
+                return FilmLoopChunk;
+            case FOURCC('X', 'T', 'R', 'l'):
+                return XtraListChunk;
             default:
-                throw new Error("Could not deserialize '" + fourCCToString(fourCC) + "' chunk");
+                return null;
         }
+    }
 
-        const chunkStream = new ReadStream(view, this.endianness);
-        chunk.read(chunkStream);
-        return chunk;
+    hasChunkParser(fourCC) {
+        return this.chunkClass(fourCC) !== null;
     }
 
     getScript(id) {
@@ -516,14 +1076,241 @@ export class DirectorFile {
     }
 
     compressionImplemented(compressionID) {
-        return compressionID.equals(ZLIB_COMPRESSION_GUID);
-        // SND compression not implemented for web version
+        return compressionID.equals(ZLIB_COMPRESSION_GUID) ||
+               compressionID.equals(SND_COMPRESSION_GUID) ||
+               compressionID.equals(FONTMAP_COMPRESSION_GUID);
+    }
+
+    /**
+     * Whether a chunk only marks that the movie uses the font map shipped
+     * with Director. Its data is whatever Afterburner stored, not FXmp text.
+     */
+    isFontMapPlaceholder(id) {
+        const info = this.chunkInfo.get(id);
+        return !!info && this.afterburned && info.compressionID.equals(FONTMAP_COMPRESSION_GUID);
+    }
+
+    isSndCompressed(id) {
+        const info = this.chunkInfo.get(id);
+        return !!info && this.afterburned && info.compressionID.equals(SND_COMPRESSION_GUID);
+    }
+
+    /**
+     * Whether getChunkData() can return this chunk. Shockwave Audio chunks
+     * only can once decodeCompressedSounds() has rebuilt them.
+     */
+    isChunkDecoded(id) {
+        return !this.isSndCompressed(id) || this._cachedChunkViews.has(id);
+    }
+
+    /**
+     * A Shockwave Audio chunk as stored in the file
+     */
+    getCompressedSoundData(id) {
+        if (!this.isSndCompressed(id)) {
+            throw new Error('Chunk ' + id + ' is not Shockwave Audio');
+        }
+        if (!this._compressedSoundViews.has(id)) {
+            const info = this.chunkInfo.get(id);
+            this.stream.seek(info.offset + this._ilsBodyOffset);
+            this._compressedSoundViews.set(id, this.stream.readByteView(info.len));
+        }
+        return this._compressedSoundViews.get(id);
+    }
+
+    getShockwaveAudio(id) {
+        if (!this._shockwaveAudio.has(id)) {
+            const parts = splitShockwaveAudio(this.getCompressedSoundData(id));
+            if (!parts) {
+                throw new Error('Could not find Shockwave Audio stream in chunk ' + id);
+            }
+            this._shockwaveAudio.set(id, parts);
+        }
+        return this._shockwaveAudio.get(id);
+    }
+
+    /**
+     * The MPEG audio stream inside a Shockwave Audio chunk, for playback
+     * and WAV export
+     */
+    getSoundMpegData(id) {
+        return this.getShockwaveAudio(id).mpeg;
+    }
+
+    /**
+     * Rebuild the uncompressed snd chunk of every Shockwave Audio sound so
+     * it can be read with getChunkData() and written out. Decoding MPEG is
+     * left to decodeMpeg(bytes, sampleRate), which resolves to
+     * { channels: [Float32Array, ...] } at that sample rate; in the browser
+     * that is Web Audio, hence async. Sounds that fail are reported as
+     * diagnostics and stay unreadable.
+     */
+    async decodeCompressedSounds(decodeMpeg) {
+        for (const [id, info] of this.chunkInfo) {
+            if (this.isChunkDecoded(id)) continue;
+
+            try {
+                const { header, mpeg } = this.getShockwaveAudio(id);
+                const sndInfo = parseSndHeader(header.data);
+                if (!sndInfo) {
+                    throw new Error('no usable snd header');
+                }
+                const decoded = await decodeMpeg(mpeg.data, sndInfo.sampleRate);
+                this._cachedChunkViews.set(id, new BufferView(buildSndChunk(header, decoded, info.uncompressedLen)));
+            } catch (e) {
+                this.addDiagnostic('Could not decode Shockwave Audio: ' + e.message, info.fourCC, id, info.offset);
+            }
+        }
+    }
+
+    /**
+     * Serialize the movie as an uncompressed RIFX container (MV93/MC95),
+     * rebuilding the imap and mmap around the current chunk set
+     */
+    writeToBuffer() {
+        // Director refuses a movie whose config checksum doesn't match
+        if (this.config) {
+            this.config.updateChecksum();
+        }
+        this.generateInitialMap();
+        this.generateMemoryMap();
+
+        const riffEntry = this.memoryMap.mapArray[0];
+        const stream = new WriteStream(kChunkHeaderSize + riffEntry.len, this.endianness);
+
+        for (let id = 0; id < this.memoryMap.mapArray.length; id++) {
+            const entry = this.memoryMap.mapArray[id];
+            if (entry.fourCC === FOURCC('f', 'r', 'e', 'e')) continue;
+
+            stream.seek(entry.offset);
+            stream.writeUint32(entry.fourCC);
+            stream.writeUint32(entry.len);
+            if (id === 0) {
+                stream.writeUint32(this.isCast() ? FOURCC('M', 'C', '9', '5') : FOURCC('M', 'V', '9', '3'));
+            } else {
+                stream.writeBytes(this.serializeChunk(id));
+            }
+        }
+
+        return stream.getBuffer();
+    }
+
+    generateInitialMap() {
+        this.initialMap = new InitialMapChunk(this);
+        this.initialMap.version = 1;
+        this.initialMap.mmapOffset = kRIFXHeaderSize + kChunkHeaderSize + this.initialMap.size();
+        this.initialMap.directorVersion = this.config.directorVersion;
+        this.initialMap.unused1 = 0;
+        this.initialMap.unused2 = 0;
+        this.initialMap.unused3 = 0;
+    }
+
+    generateMemoryMap() {
+        // IDs 0-2 are reserved for the RIFX header, imap and mmap
+        let maxID = 2;
+        for (const id of this.chunkInfo.keys()) {
+            if (id > maxID) maxID = id;
+        }
+
+        this.memoryMap = new MemoryMapChunk(this);
+        this.memoryMap.headerLength = 24;
+        this.memoryMap.entryLength = 20;
+        this.memoryMap.chunkCountMax = maxID + 1;
+        this.memoryMap.chunkCountUsed = maxID + 1;
+        this.memoryMap.junkHead = -1;
+        this.memoryMap.junkHead2 = -1;
+        this.memoryMap.freeHead = -1;
+        this.memoryMap.mapArray = [];
+
+        let offset = kRIFXHeaderSize;
+        for (let id = 0; id <= maxID; id++) {
+            const entry = new MemoryMapEntry();
+            if (id === 0) {
+                entry.fourCC = FOURCC('R', 'I', 'F', 'X');
+                entry.offset = 0;
+            } else if (id === 1) {
+                entry.fourCC = FOURCC('i', 'm', 'a', 'p');
+                entry.len = this.initialMap.size();
+            } else if (id === 2) {
+                entry.fourCC = FOURCC('m', 'm', 'a', 'p');
+                entry.len = this.memoryMap.size();
+            } else if (this.chunkInfo.has(id) && !this.isFontMapPlaceholder(id)) {
+                entry.fourCC = this.chunkInfo.get(id).fourCC;
+                entry.len = this.chunkSize(id);
+            } else {
+                entry.fourCC = FOURCC('f', 'r', 'e', 'e');
+                entry.flags = 12;
+            }
+
+            if (id > 0 && entry.fourCC !== FOURCC('f', 'r', 'e', 'e')) {
+                entry.offset = offset;
+                // RIFX chunks are padded to an even length
+                offset += kChunkHeaderSize + entry.len + (entry.len % 2);
+            }
+            this.memoryMap.mapArray.push(entry);
+        }
+
+        this.memoryMap.mapArray[0].len = offset - kChunkHeaderSize;
+    }
+
+    /**
+     * Chunks writeToBuffer leaves out. An FXmp placeholder's stored data is
+     * not FONTMAP text, and Director's default map for the movie's version is
+     * not known here, so there is nothing valid to write for it.
+     */
+    get unwrittenChunkIDs() {
+        return [...this.chunkInfo.keys()].filter(id => this.isFontMapPlaceholder(id));
+    }
+
+    /**
+     * The deserialized chunk written for an ID, or null to write its data as
+     * stored. The key table drops entries for chunks that are left out.
+     */
+    writtenChunk(id) {
+        const chunk = this.deserializedChunks.get(id);
+        if (!chunk || !chunk.writable) return null;
+
+        const unwritten = this.unwrittenChunkIDs;
+        if (chunk !== this.keyTable || unwritten.length === 0) return chunk;
+
+        const keyTable = Object.assign(new KeyTableChunk(this), chunk);
+        keyTable.entries = chunk.entries.filter(entry => !unwritten.includes(entry.sectionID));
+        keyTable.usedCount = Math.max(chunk.usedCount - (chunk.entries.length - keyTable.entries.length), 0);
+        return keyTable;
+    }
+
+    chunkSize(id) {
+        const chunk = this.writtenChunk(id);
+        if (chunk) {
+            return chunk.size();
+        }
+        const info = this.chunkInfo.get(id);
+        return this.getChunkData(info.fourCC, id).size;
+    }
+
+    serializeChunk(id) {
+        if (id === 1) return this.serializeWritable(this.initialMap);
+        if (id === 2) return this.serializeWritable(this.memoryMap);
+
+        const chunk = this.writtenChunk(id);
+        if (chunk) {
+            return this.serializeWritable(chunk);
+        }
+        const info = this.chunkInfo.get(id);
+        return this.getChunkData(info.fourCC, id);
+    }
+
+    serializeWritable(chunk) {
+        const chunkStream = new WriteStream(chunk.size(), this.endianness);
+        chunk.write(chunkStream);
+        return chunkStream.getBuffer();
     }
 
     /**
      * Parse all scripts in the file
      */
     parseScripts() {
+        this.stage = 'scripts';
         for (const cast of this.casts) {
             if (!cast.lctx) continue;
             cast.lctx.parseScripts();
@@ -609,6 +1396,7 @@ export class DirectorFile {
     get scriptChunks() {
         const chunks = [];
         for (const cast of this.casts) {
+            chunks.push(...cast.sourceScripts);
             if (!cast.lctx) continue;
             for (const [scriptId, script] of cast.lctx.scripts) {
                 chunks.push(script);
@@ -668,16 +1456,56 @@ export class ScriptContextChunk {
         for (let i = 0; i < this.sectionMap.length; i++) {
             const entry = this.sectionMap[i];
             if (entry.sectionID >= 0 && this.dir.chunkExists(FOURCC('L', 's', 'c', 'r'), entry.sectionID)) {
-                const script = this.dir.getChunk(FOURCC('L', 's', 'c', 'r'), entry.sectionID);
-                script.setContext(this);
-                this.scripts.set(i + 1, script);  // 1-based index
+                try {
+                    const script = this.dir.getChunk(FOURCC('L', 's', 'c', 'r'), entry.sectionID);
+                    script.setContext(this);
+                    this.scripts.set(i + 1, script);  // 1-based index
+                } catch (e) {
+                    this.dir.recoverFrom(e);
+                }
             }
         }
     }
 
+    size() {
+        return this.entriesOffset + this.sectionMap.length * 12;
+    }
+
+    write(stream) {
+        stream.endianness = Endianness.kBigEndian;
+
+        stream.writeInt32(this.unknown0);
+        stream.writeInt32(this.unknown1);
+        stream.writeUint32(this.sectionMap.length);
+        stream.writeUint32(this.entryCount2);
+        stream.writeUint16(this.entriesOffset);
+        stream.writeInt16(this.unknown2);
+        stream.writeInt32(this.unknown3);
+        stream.writeInt32(this.unknown4);
+        stream.writeInt32(this.unknown5);
+        stream.writeInt32(this.lnamSectionID);
+        stream.writeUint16(this.validCount);
+        stream.writeUint16(this.flags);
+        stream.writeInt16(this.freePointer);
+
+        stream.seek(this.entriesOffset);
+        for (const entry of this.sectionMap) {
+            stream.writeInt32(entry.unknown0);
+            stream.writeInt32(entry.sectionID);
+            stream.writeUint16(entry.unknown1);
+            stream.writeUint16(entry.unknown2);
+        }
+    }
+
     parseScripts() {
         for (const [id, script] of this.scripts) {
-            script.parse();
+            try {
+                script.parse();
+            } catch (e) {
+                const sectionID = this.sectionMap[id - 1].sectionID;
+                const info = this.dir.chunkInfo.get(sectionID);
+                this.dir.recoverFrom(new ChunkError(e.message, FOURCC('L', 's', 'c', 'r'), sectionID, info.offset));
+            }
         }
     }
 
@@ -718,6 +1546,30 @@ export class ScriptNamesChunk {
         }
     }
 
+    size() {
+        let len = this.namesOffset;
+        for (const name of this.names) {
+            len += 1 + name.length;
+        }
+        return len;
+    }
+
+    write(stream) {
+        stream.endianness = Endianness.kBigEndian;
+
+        stream.writeInt32(this.unknown0);
+        stream.writeInt32(this.unknown1);
+        stream.writeUint32(this.len1);
+        stream.writeUint32(this.len2);
+        stream.writeUint16(this.namesOffset);
+        stream.writeUint16(this.names.length);
+
+        stream.seek(this.namesOffset);
+        for (const name of this.names) {
+            stream.writePascalString(name);
+        }
+    }
+
     validName(id) {
         return id >= 0 && id < this.names.length;
     }
@@ -740,12 +1592,25 @@ export class ScriptChunk {
         this.member = null;
         this.context = null;
         this.script = new Script(dir.version);
+        // Written back as read, so a round-trip check proves nothing
+        this.writesOriginalData = true;
     }
 
     read(stream) {
+        // Bytecode is not reassembled, so keep the original bytes for writing
+        this.data = stream.readByteView(stream.size);
+        stream.seek(0);
         this.script.read(stream);
     }
 
+    size() {
+        return this.data.size;
+    }
+
+    write(stream) {
+        stream.writeBytes(this.data);
+    }
+
     setContext(ctx) {
         this.context = ctx;
         this.script.setContext(ctx);
@@ -775,11 +1640,38 @@ export class ScriptChunk {
         return this.script.isFactory();
     }
 
-    scriptText(lineEnding, dotSyntax) {
-        return this.script.scriptText(lineEnding, dotSyntax);
+    scriptText(lineEnding, dotSyntax, frameLabels) {
+        return this.script.scriptText(lineEnding, dotSyntax, frameLabels);
     }
 
     bytecodeText(lineEnding, dotSyntax) {
         return this.script.bytecodeText(lineEnding, dotSyntax);
     }
 }
+
+/**
+ * SourceScript - Director 2/3 Lingo, which is stored as plain source text
+ * rather than bytecode. Mirrors the parts of Script the viewers use.
+ */
+export class SourceScript {
+    constructor(text, scriptNumber) {
+        this.text = text;
+        this.scriptNumber = scriptNumber;
+        this.scriptFlags = 0;
+
+        const factory = text.match(/^\s*factory\s+(\w+)/im);
+        this.factoryName = factory ? factory[1] : '';
+    }
+
+    isFactory() {
+        return this.factoryName !== '';
+    }
+
+    scriptText(lineEnding) {
+        return this.text.split(/\r\n|\r|\n/).join(lineEnding);
+    }
+
+    bytecodeText(lineEnding) {
+        return '-- No bytecode: this script is stored as source text' + lineEnding;
+    }
+}
@@ -0,0 +1,141 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Font maps: the font IDs text members refer to (Fmap) and the
+ * cross-platform substitutions from FONTMAP.TXT (FXmp).
+ *
+ * Afterburner drops FXmp chunks that are identical to the font map shipped
+ * with the Director version that wrote the movie and tags them with
+ * FONTMAP_COMPRESSION_GUID. That text is not reproduced here, so such
+ * chunks are kept as placeholders and their substitutions are unknown.
+ */
+
+export const FontPlatform = {
+    kMac: 'Mac',
+    kWin: 'Win'
+};
+
+// Platform IDs used in Fmap entries
+const FMAP_PLATFORMS = {
+    1: FontPlatform.kMac,
+    2: FontPlatform.kWin
+};
+
+export function fontPlatformFromID(id) {
+    return FMAP_PLATFORMS[id] || 'Unknown (' + id + ')';
+}
+
+function unquote(name) {
+    if (name.length >= 2 && name[0] === '"' && name[name.length - 1] === '"') {
+        return name.slice(1, -1);
+    }
+    return name;
+}
+
+function normalizePlatform(platform) {
+    return platform.toLowerCase() === 'mac' ? FontPlatform.kMac : FontPlatform.kWin;
+}
+
+/**
+ * Parse FXmp (FONTMAP.TXT) text into font substitutions and character maps
+ */
+export function parseFontXMap(text) {
+    const result = { substitutions: [], charMaps: [] };
+
+    for (let line of text.split(/\r\n|\r|\n/)) {
+        const comment = line.indexOf(';');
+        if (comment >= 0) line = line.slice(0, comment);
+        if (!line.trim()) continue;
+
+        const match = line.match(/^\s*(Mac|Win):("[^"]*"|[^\s"]*)\s*=>\s*(Mac|Win):("[^"]*"|[^\s"]*)(.*)$/i);
+        if (!match) {
+            console.warn('FXmp: Could not parse line: ' + line);
+            continue;
+        }
+
+        const fromPlatform = normalizePlatform(match[1]);
+        const fromFont = unquote(match[2]);
+        const toPlatform = normalizePlatform(match[3]);
+        const toFont = unquote(match[4]);
+
+        const pairs = new Map();
+        let remapChars = true;
+        const rest = match[5].trim().split(/\s+/).filter(token => token);
+        for (let i = 0; i < rest.length; i++) {
+            const token = rest[i];
+            if (token.toLowerCase() === 'map' && i + 1 < rest.length) {
+                remapChars = rest[i + 1].toLowerCase() !== 'none';
+                i++;
+                continue;
+            }
+            const pair = token.match(/^(\d+)=>(\d+)$/);
+            if (pair) {
+                pairs.set(parseInt(pair[1], 10), parseInt(pair[2], 10));
+            }
+        }
+
+        if (!fromFont && !toFont) {
+            result.charMaps.push({ fromPlatform, toPlatform, map: pairs });
+        } else {
+            result.substitutions.push({ fromPlatform, fromFont, toPlatform, toFont, remapChars, sizeMap: pairs });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * FontMap - Font IDs used by text members and their cross-platform substitutes
+ */
+export class FontMap {
+    constructor() {
+        this.fonts = new Map();
+        this.substitutions = [];
+        this.charMaps = [];
+        // The FXmp chunk stands for Director's stock font map, which is not included
+        this.usesDefaultFontMap = false;
+    }
+
+    addFont(id, name, platform) {
+        this.fonts.set(id, { id, name, platform });
+    }
+
+    isEmpty() {
+        return this.fonts.size === 0 && this.substitutions.length === 0 && !this.usesDefaultFontMap;
+    }
+
+    findSubstitution(fontName, fromPlatform) {
+        const lowerName = fontName.toLowerCase();
+        return this.substitutions.find(sub =>
+            sub.fromPlatform === fromPlatform && sub.fromFont.toLowerCase() === lowerName) || null;
+    }
+
+    /**
+     * Resolve a font ID to a font name, substituted for the target platform
+     * when the movie was authored on the other one
+     */
+    resolveFont(id, targetPlatform = FontPlatform.kWin) {
+        const font = this.fonts.get(id);
+        if (!font) return null;
+        if (font.platform === targetPlatform) return font.name;
+
+        const sub = this.findSubstitution(font.name, font.platform);
+        return sub && sub.toPlatform === targetPlatform ? sub.toFont : font.name;
+    }
+
+    /**
+     * Map a point size through the substitution table
+     */
+    resolveSize(id, size, targetPlatform = FontPlatform.kWin) {
+        const font = this.fonts.get(id);
+        if (!font || font.platform === targetPlatform) return size;
+
+        const sub = this.findSubstitution(font.name, font.platform);
+        if (sub && sub.sizeMap.has(size)) return sub.sizeMap.get(size);
+        return size;
+    }
+}
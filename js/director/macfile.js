@@ -0,0 +1,159 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { ReadStream } from '../stream.js';
+import { Endianness, fourCCToString } from '../lingodec/enums.js';
+
+const MACBINARY_HEADER_SIZE = 128;
+const APPLESINGLE_MAGIC = 0x00051600;
+const APPLEDOUBLE_MAGIC = 0x00051607;
+
+// AppleSingle/AppleDouble entry IDs
+const AppleEntryID = {
+    kDataFork: 1,
+    kResourceFork: 2,
+    kRealName: 3,
+    kFinderInfo: 9
+};
+
+/**
+ * CRC-16/XMODEM, used by MacBinary II and III headers
+ */
+function crc16(bytes, start, length) {
+    let crc = 0;
+    for (let i = start; i < start + length; i++) {
+        crc ^= bytes[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+            crc &= 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+function align128(len) {
+    return (len + 127) & ~127;
+}
+
+/**
+ * MacFileWrapper - Peels the data fork out of MacBinary, AppleSingle
+ * and AppleDouble containers used to archive classic Mac files
+ */
+export class MacFileWrapper {
+    constructor() {
+        this.format = '';
+        this.fileName = '';
+        this.fileType = '';
+        this.creator = '';
+        this.finderFlags = 0;
+        this.dataFork = null;
+        this.resourceFork = null;
+    }
+
+    /**
+     * Detect and unpack a wrapped file. Returns false if the buffer is not
+     * a recognised container.
+     */
+    read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        return this.readAppleSingle(buffer, bytes) || this.readMacBinary(buffer, bytes);
+    }
+
+    readMacBinary(buffer, bytes) {
+        if (bytes.length < MACBINARY_HEADER_SIZE) return false;
+        if (bytes[0] !== 0 || bytes[74] !== 0 || bytes[82] !== 0) return false;
+
+        const nameLength = bytes[1];
+        if (nameLength < 1 || nameLength > 63) return false;
+
+        const stream = new ReadStream(bytes, Endianness.kBigEndian);
+        stream.seek(83);
+        const dataLength = stream.readUint32();
+        const resourceLength = stream.readUint32();
+        stream.seek(120);
+        const secondaryHeaderLength = stream.readUint16();
+        stream.skip(2); // MacBinary version, minimum version to extract
+        const storedCRC = stream.readUint16();
+
+        // MacBinary II/III carry a header CRC; MacBinary I has zeroes there
+        const isMacBinary3 = String.fromCharCode(bytes[102], bytes[103], bytes[104], bytes[105]) === 'mBIN';
+        const hasValidCRC = storedCRC !== 0 && storedCRC === crc16(bytes, 0, 124);
+        if (!isMacBinary3 && !hasValidCRC && storedCRC !== 0) return false;
+
+        const dataStart = MACBINARY_HEADER_SIZE + align128(secondaryHeaderLength);
+        const resourceStart = dataStart + align128(dataLength);
+        if (dataStart + dataLength > bytes.length || resourceStart + resourceLength > bytes.length + 127) {
+            return false;
+        }
+
+        stream.seek(1);
+        this.format = isMacBinary3 ? 'MacBinary III' : (hasValidCRC ? 'MacBinary II' : 'MacBinary');
+        this.fileName = stream.readPascalString();
+        stream.seek(65);
+        this.fileType = fourCCToString(stream.readUint32());
+        this.creator = fourCCToString(stream.readUint32());
+        this.finderFlags = (bytes[73] << 8) | bytes[101];
+
+        this.dataFork = dataLength > 0 ? buffer.slice(dataStart, dataStart + dataLength) : null;
+        if (resourceLength > 0) {
+            const resourceEnd = Math.min(resourceStart + resourceLength, bytes.length);
+            this.resourceFork = new Uint8Array(buffer.slice(resourceStart, resourceEnd));
+        }
+        return true;
+    }
+
+    readAppleSingle(buffer, bytes) {
+        if (bytes.length < 26) return false;
+
+        const stream = new ReadStream(bytes, Endianness.kBigEndian);
+        const magic = stream.readUint32();
+        if (magic !== APPLESINGLE_MAGIC && magic !== APPLEDOUBLE_MAGIC) return false;
+
+        stream.readUint32(); // version
+        stream.skip(16); // filler / home file system
+        const entryCount = stream.readUint16();
+        if (26 + entryCount * 12 > bytes.length) return false;
+
+        this.format = magic === APPLESINGLE_MAGIC ? 'AppleSingle' : 'AppleDouble';
+        for (let i = 0; i < entryCount; i++) {
+            const id = stream.readUint32();
+            const offset = stream.readUint32();
+            const length = stream.readUint32();
+            if (offset + length > bytes.length) continue;
+
+            const entryStream = new ReadStream(bytes, Endianness.kBigEndian, offset);
+            switch (id) {
+                case AppleEntryID.kDataFork:
+                    this.dataFork = buffer.slice(offset, offset + length);
+                    break;
+                case AppleEntryID.kResourceFork:
+                    this.resourceFork = new Uint8Array(buffer.slice(offset, offset + length));
+                    break;
+                case AppleEntryID.kRealName:
+                    this.fileName = entryStream.readString(length);
+                    break;
+                case AppleEntryID.kFinderInfo:
+                    if (length >= 10) {
+                        this.fileType = fourCCToString(entryStream.readUint32());
+                        this.creator = fourCCToString(entryStream.readUint32());
+                        this.finderFlags = entryStream.readUint16();
+                    }
+                    break;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Take the resource fork and Finder info from an AppleDouble `._` companion
+     */
+    mergeAppleDouble(companion) {
+        if (!this.resourceFork) this.resourceFork = companion.resourceFork;
+        if (!this.fileType) this.fileType = companion.fileType;
+        if (!this.creator) this.creator = companion.creator;
+        if (!this.finderFlags) this.finderFlags = companion.finderFlags;
+    }
+}
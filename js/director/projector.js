@@ -0,0 +1,172 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { ReadStream } from '../stream.js';
+import { Endianness, FOURCC, fourCCToString } from '../lingodec/enums.js';
+
+const PROJECTOR_TAGS = ['PJ93', 'PJ95', 'PJ00', 'PJ01'];
+
+const RIFX_CODECS = {
+    [FOURCC('M', 'V', '9', '3')]: 'movie',
+    [FOURCC('M', 'C', '9', '5')]: 'cast',
+    [FOURCC('F', 'G', 'D', 'M')]: 'movie',
+    [FOURCC('F', 'G', 'D', 'C')]: 'cast',
+    [FOURCC('A', 'P', 'P', 'L')]: 'application'
+};
+
+/**
+ * ProjectorEntry - A RIFX/XFIR container embedded in a projector
+ */
+export class ProjectorEntry {
+    constructor() {
+        this.offset = 0;
+        this.length = 0;
+        this.endianness = Endianness.kBigEndian;
+        this.codec = 0;
+        this.kind = '';
+        this.name = '';
+    }
+
+    isAfterburned() {
+        return this.codec === FOURCC('F', 'G', 'D', 'M') || this.codec === FOURCC('F', 'G', 'D', 'C');
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            kind: this.kind,
+            codec: fourCCToString(this.codec),
+            offset: this.offset,
+            length: this.length,
+            endianness: this.endianness === Endianness.kLittleEndian ? 'little' : 'big'
+        };
+    }
+}
+
+/**
+ * ProjectorFile - Finds the movies and casts bundled into a Windows .exe
+ * or the data fork of a Mac projector
+ */
+export class ProjectorFile {
+    constructor() {
+        this.buffer = null;
+        this.version = '';
+        this.platform = '';
+        this.headerOffset = -1;
+        this.rifxOffset = -1;
+        this.entries = [];
+    }
+
+    /**
+     * Scan a buffer for a projector header and embedded Director files.
+     * Returns false if no embedded movies or casts were found.
+     */
+    read(buffer) {
+        this.buffer = buffer;
+        const bytes = new Uint8Array(buffer);
+
+        this.platform = (bytes[0] === 0x4D && bytes[1] === 0x5A) ? 'Windows' : 'Mac';
+        this.findHeader(bytes);
+        this.findEntries(bytes);
+
+        return this.entries.some(entry => entry.kind !== 'application');
+    }
+
+    findHeader(bytes) {
+        // Windows projectors point at their header from the last four bytes
+        if (this.platform === 'Windows' && bytes.length >= 8) {
+            const stream = new ReadStream(bytes, Endianness.kLittleEndian, bytes.length - 4);
+            const offset = stream.readUint32();
+            if (offset + 8 <= bytes.length && this.readHeaderAt(bytes, offset)) {
+                return true;
+            }
+        }
+
+        for (let i = 0; i + 8 <= bytes.length; i++) {
+            if ((bytes[i] === 0x50 || bytes[i + 3] === 0x50) && this.readHeaderAt(bytes, i)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    readHeaderAt(bytes, offset) {
+        const tag = String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+        const reversed = tag.split('').reverse().join('');
+
+        let endianness;
+        if (PROJECTOR_TAGS.includes(tag)) {
+            endianness = Endianness.kBigEndian;
+            this.version = tag;
+        } else if (PROJECTOR_TAGS.includes(reversed)) {
+            endianness = Endianness.kLittleEndian;
+            this.version = reversed;
+        } else {
+            return false;
+        }
+
+        const stream = new ReadStream(bytes, endianness, offset + 4);
+        this.headerOffset = offset;
+        this.rifxOffset = stream.readUint32();
+        return true;
+    }
+
+    findEntries(bytes) {
+        this.entries = [];
+        const counts = {};
+
+        let i = 0;
+        while (i + 12 <= bytes.length) {
+            const entry = this.readEntryAt(bytes, i);
+            if (!entry) {
+                i++;
+                continue;
+            }
+
+            counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+            const label = entry.kind.charAt(0).toUpperCase() + entry.kind.slice(1);
+            entry.name = label + ' ' + counts[entry.kind];
+            this.entries.push(entry);
+
+            // Movies are bundled inside the application container, so keep scanning inside it
+            i += entry.kind === 'application' ? 12 : entry.length;
+        }
+    }
+
+    readEntryAt(bytes, offset) {
+        let endianness;
+        if (bytes[offset] === 0x52 && bytes[offset + 1] === 0x49 && bytes[offset + 2] === 0x46 && bytes[offset + 3] === 0x58) {
+            endianness = Endianness.kBigEndian; // RIFX
+        } else if (bytes[offset] === 0x58 && bytes[offset + 1] === 0x46 && bytes[offset + 2] === 0x49 && bytes[offset + 3] === 0x52) {
+            endianness = Endianness.kLittleEndian; // XFIR
+        } else {
+            return null;
+        }
+
+        const stream = new ReadStream(bytes, endianness, offset + 4);
+        const length = stream.readUint32() + 8;
+        const codec = stream.readUint32();
+        if (!RIFX_CODECS[codec] || offset + length > bytes.length) {
+            return null;
+        }
+
+        const entry = new ProjectorEntry();
+        entry.offset = offset;
+        entry.length = length;
+        entry.endianness = endianness;
+        entry.codec = codec;
+        entry.kind = RIFX_CODECS[codec];
+        return entry;
+    }
+
+    /**
+     * Copy an embedded movie or cast out as a standalone file buffer
+     */
+    extractEntry(index) {
+        const entry = this.entries[index];
+        return this.buffer.slice(entry.offset, entry.offset + entry.length);
+    }
+}
@@ -0,0 +1,112 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { ReadStream } from '../stream.js';
+import { Endianness } from '../lingodec/enums.js';
+
+const RESOURCE_HEADER_SIZE = 16;
+const RESOURCE_MAP_MIN_SIZE = 30;
+const RESOURCE_REF_SIZE = 12;
+
+/**
+ * ResourceEntry - One resource in a resource fork
+ */
+export class ResourceEntry {
+    constructor() {
+        this.type = 0;
+        this.id = 0;
+        this.name = '';
+        this.attributes = 0;
+        this.offset = 0;
+        this.length = 0;
+    }
+}
+
+/**
+ * ResourceFork - Reader for classic Mac OS resource forks, where
+ * Director 2 and 3 keep their movies
+ */
+export class ResourceFork {
+    constructor() {
+        this.resources = [];
+    }
+
+    /**
+     * Parse the resource map. Returns false if the buffer is not a resource fork.
+     */
+    read(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (bytes.length < RESOURCE_HEADER_SIZE) return false;
+
+        const stream = new ReadStream(bytes, Endianness.kBigEndian);
+        const dataOffset = stream.readUint32();
+        const mapOffset = stream.readUint32();
+        const dataLength = stream.readUint32();
+        const mapLength = stream.readUint32();
+        if (dataOffset < RESOURCE_HEADER_SIZE || mapLength < RESOURCE_MAP_MIN_SIZE ||
+            dataOffset + dataLength > bytes.length || mapOffset + mapLength > bytes.length) {
+            return false;
+        }
+
+        // Skip the header copy, next map handle, file reference number and attributes
+        stream.seek(mapOffset + 24);
+        const typeListOffset = mapOffset + stream.readUint16();
+        const nameListOffset = mapOffset + stream.readUint16();
+
+        stream.seek(typeListOffset);
+        const typeCount = (stream.readUint16() + 1) & 0xFFFF;
+        if (typeListOffset + 2 + typeCount * 8 > bytes.length) return false;
+
+        this.resources = [];
+        for (let i = 0; i < typeCount; i++) {
+            const type = stream.readUint32();
+            const count = stream.readUint16() + 1;
+            const refListOffset = typeListOffset + stream.readUint16();
+            const typeEnd = stream.pos;
+
+            for (let j = 0; j < count; j++) {
+                const refOffset = refListOffset + j * RESOURCE_REF_SIZE;
+                if (refOffset + RESOURCE_REF_SIZE > bytes.length) return false;
+
+                stream.seek(refOffset);
+                const resource = new ResourceEntry();
+                resource.type = type;
+                resource.id = stream.readInt16();
+                const nameOffset = stream.readUint16();
+                resource.attributes = stream.readUint8();
+                const dataOffsetHigh = stream.readUint8();
+                const resourceDataOffset = dataOffset + ((dataOffsetHigh << 16) | stream.readUint16());
+
+                if (resourceDataOffset + 4 > bytes.length) {
+                    console.warn('ResourceFork: Resource ' + resource.id + ' points past end of fork');
+                    continue;
+                }
+                stream.seek(resourceDataOffset);
+                resource.length = stream.readUint32();
+                resource.offset = resourceDataOffset + 4;
+                if (resource.offset + resource.length > bytes.length) {
+                    console.warn('ResourceFork: Resource ' + resource.id + ' is truncated');
+                    resource.length = bytes.length - resource.offset;
+                }
+
+                if (nameOffset !== 0xFFFF && nameListOffset + nameOffset < bytes.length) {
+                    stream.seek(nameListOffset + nameOffset);
+                    resource.name = stream.readPascalString();
+                }
+
+                this.resources.push(resource);
+            }
+
+            stream.seek(typeEnd);
+        }
+
+        return true;
+    }
+
+    getResource(type, id) {
+        return this.resources.find(resource => resource.type === type && resource.id === id) || null;
+    }
+}
@@ -0,0 +1,777 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { ReadStream } from '../stream.js';
+import { Endianness } from '../lingodec/enums.js';
+import { Chunk, ChunkType } from './chunk.js';
+
+// Director 2/3 have no frame data header
+const kSpriteRecordSizeD2 = 16;
+const kNumChannelsD2 = 50;
+
+// Director 5 and later wrap the frame data in an entry table; these are
+// the two constants that follow its length
+const kEntryTableMarker = -3;
+const kEntryTableHeaderSize = 12;
+
+// Sprite type 0 marks an unused channel
+export const SpriteType = {
+    kInactive: 0,
+    kBitmap: 1,
+    kRectangle: 2,
+    kRoundedRectangle: 3,
+    kOval: 4,
+    kLineTopBottom: 5,
+    kLineBottomTop: 6,
+    kText: 7,
+    kButton: 8,
+    kCheckBox: 9,
+    kRadioButton: 10,
+    kPict: 11,
+    kOutlinedRectangle: 12,
+    kOutlinedRoundedRectangle: 13,
+    kOutlinedOval: 14,
+    kThickLine: 15,
+    kCastMember: 16,
+    kFilmLoop: 17,
+    kDirMovie: 18
+};
+
+export const InkType = {
+    0: 'Copy',
+    1: 'Transparent',
+    2: 'Reverse',
+    3: 'Ghost',
+    4: 'Not Copy',
+    5: 'Not Transparent',
+    6: 'Not Reverse',
+    7: 'Not Ghost',
+    8: 'Matte',
+    9: 'Mask',
+    32: 'Blend',
+    33: 'Add Pin',
+    34: 'Add',
+    35: 'Subtract Pin',
+    36: 'Background Transparent',
+    37: 'Lightest',
+    38: 'Subtract',
+    39: 'Darkest',
+    40: 'Lighten',
+    41: 'Darken'
+};
+
+export function inkName(ink) {
+    return InkType[ink] || 'Ink ' + ink;
+}
+
+function isZeroed(bytes, offset, length) {
+    for (let i = offset; i < offset + length; i++) {
+        if (bytes[i] !== 0) return false;
+    }
+    return true;
+}
+
+/**
+ * A cast member reference. Before Director 5 the cast library is implied.
+ */
+function memberRef(castLib, member) {
+    return { castLib, member };
+}
+
+/**
+ * SpriteChannel - One sprite channel in one frame
+ */
+export class SpriteChannel {
+    constructor() {
+        this.spriteType = SpriteType.kInactive;
+        this.ink = 0;
+        this.trails = false;
+        this.stretch = false;
+        this.foreColor = 0;
+        this.backColor = 0;
+        this.castLib = 0;
+        this.member = 0;
+        this.locH = 0;
+        this.locV = 0;
+        this.width = 0;
+        this.height = 0;
+        this.blend = 100;
+        this.lineSize = 0;
+        this.colorCode = 0;
+        // Director 2-5 attach one score script; Director 6+ point into the behavior lists
+        this.scriptCastLib = 0;
+        this.scriptMember = 0;
+        this.spriteListIdx = 0;
+    }
+
+    read(stream, version) {
+        const start = stream.pos;
+        if (version >= 500) {
+            this.spriteType = stream.readUint8();
+            this.readInkData(stream.readUint8());
+            this.foreColor = stream.readUint8();
+            this.backColor = stream.readUint8();
+            this.castLib = stream.readUint16();
+            this.member = stream.readUint16();
+            if (version >= 600) {
+                this.spriteListIdx = stream.readUint32();
+            } else {
+                this.scriptCastLib = stream.readUint16();
+                this.scriptMember = stream.readUint16();
+            }
+            this.readRect(stream);
+            this.colorCode = stream.readUint8();
+            this.readBlend(stream.readUint8());
+            this.lineSize = stream.readUint8();
+            return;
+        }
+
+        this.scriptMember = stream.readUint8();
+        this.spriteType = stream.readUint8();
+        this.foreColor = stream.readUint8();
+        this.backColor = stream.readUint8();
+        this.lineSize = stream.readUint8() & 0x0F;
+        this.readInkData(stream.readUint8());
+        this.member = stream.readUint16();
+        this.readRect(stream);
+        if (version >= 400 && stream.pos - start + 4 <= stream.size) {
+            this.scriptMember = stream.readUint16();
+            this.colorCode = stream.readUint8();
+            this.readBlend(stream.readUint8());
+        }
+    }
+
+    readInkData(inkData) {
+        this.ink = inkData & 0x3F;
+        this.trails = (inkData & 0x40) !== 0;
+        this.stretch = (inkData & 0x80) !== 0;
+    }
+
+    readRect(stream) {
+        this.locV = stream.readInt16();
+        this.locH = stream.readInt16();
+        this.height = stream.readInt16();
+        this.width = stream.readInt16();
+    }
+
+    // Stored as 255 minus the opacity, with 0 meaning fully opaque
+    readBlend(blendAmount) {
+        this.blend = blendAmount === 0 ? 100 : Math.round((255 - blendAmount) * 100 / 255);
+    }
+
+    isEmpty() {
+        return this.spriteType === SpriteType.kInactive && this.member === 0;
+    }
+
+    get memberRef() {
+        return memberRef(this.castLib, this.member);
+    }
+
+    /**
+     * Key used to decide whether two frames show the same sprite
+     */
+    spanKey() {
+        return [this.castLib, this.member, this.spriteType, this.scriptCastLib, this.scriptMember, this.spriteListIdx].join(':');
+    }
+}
+
+/**
+ * MainChannels - The script, tempo, palette, transition and sound channels of a frame
+ */
+export class MainChannels {
+    constructor() {
+        this.script = memberRef(0, 0);
+        this.tempo = 0;
+        this.palette = {
+            castLib: 0,
+            member: 0,
+            speed: 0,
+            flags: 0,
+            firstColor: 0,
+            lastColor: 0,
+            frameCount: 0,
+            cycleCount: 0
+        };
+        // Built-in transitions (before Director 5) have a type code instead of a member
+        this.transition = {
+            castLib: 0,
+            member: 0,
+            type: 0,
+            duration: 0,
+            chunkSize: 0,
+            changeArea: false
+        };
+        this.sound1 = memberRef(0, 0);
+        this.sound2 = memberRef(0, 0);
+        // Director 6+ behavior list indices for the script channel
+        this.scriptSpriteListIdx = 0;
+    }
+
+    read(stream, version, spriteRecordSize) {
+        if (version >= 600) {
+            this.readD6(stream, spriteRecordSize);
+        } else if (version >= 500) {
+            this.readD5(stream);
+        } else if (version >= 400) {
+            this.readD4(stream);
+        } else {
+            this.readD2(stream);
+        }
+    }
+
+    readD2(stream) {
+        this.script = memberRef(0, stream.readUint8());
+        stream.skip(1); // sound 1 type
+        this.readTransitionFlags(stream.readUint8());
+        this.transition.chunkSize = stream.readUint8();
+        this.tempo = stream.readInt8();
+        this.transition.type = stream.readUint8();
+        this.sound1 = memberRef(0, stream.readUint16());
+        this.sound2 = memberRef(0, stream.readUint16());
+        stream.seek(16);
+        this.readPaletteD4(stream);
+    }
+
+    readD4(stream) {
+        this.script = memberRef(0, stream.readUint16());
+        stream.skip(1); // sound 1 type
+        this.readTransitionFlags(stream.readUint8());
+        this.transition.chunkSize = stream.readUint8();
+        this.tempo = stream.readInt8();
+        this.transition.type = stream.readUint8();
+        stream.skip(1);
+        this.sound1 = memberRef(0, stream.readUint16());
+        this.sound2 = memberRef(0, stream.readUint16());
+        stream.seek(20);
+        this.readPaletteD4(stream);
+    }
+
+    readD5(stream) {
+        this.script = memberRef(stream.readUint16(), stream.readUint16());
+        this.sound1 = memberRef(stream.readUint16(), stream.readUint16());
+        this.sound2 = memberRef(stream.readUint16(), stream.readUint16());
+        this.transition.castLib = stream.readUint16();
+        this.transition.member = stream.readUint16();
+        stream.skip(5); // channel colors
+        this.tempo = stream.readInt8();
+        stream.skip(2);
+        this.palette.castLib = stream.readInt16();
+        this.palette.member = stream.readInt16();
+        this.readPaletteSettings(stream);
+    }
+
+    // Director 6 gives each main channel a sprite-sized slot of its own
+    readD6(stream, spriteRecordSize) {
+        stream.seek(0);
+        this.script = memberRef(stream.readUint16(), stream.readUint16());
+        stream.seek(20);
+        this.scriptSpriteListIdx = stream.readUint32();
+
+        stream.seek(spriteRecordSize);
+        this.tempo = stream.readInt8();
+
+        stream.seek(spriteRecordSize * 2);
+        this.palette.castLib = stream.readInt16();
+        this.palette.member = stream.readInt16();
+        this.readPaletteSettings(stream);
+
+        stream.seek(spriteRecordSize * 3);
+        this.transition.castLib = stream.readUint16();
+        this.transition.member = stream.readUint16();
+
+        stream.seek(spriteRecordSize * 4);
+        this.sound1 = memberRef(stream.readUint16(), stream.readUint16());
+
+        stream.seek(spriteRecordSize * 5);
+        this.sound2 = memberRef(stream.readUint16(), stream.readUint16());
+    }
+
+    readTransitionFlags(flags) {
+        this.transition.changeArea = (flags & 0x80) !== 0;
+        // Quarter seconds
+        this.transition.duration = (flags & 0x7F) * 250;
+    }
+
+    readPaletteD4(stream) {
+        this.palette.member = stream.readInt16();
+        this.palette.firstColor = stream.readUint8();
+        this.palette.lastColor = stream.readUint8();
+        this.palette.flags = stream.readUint8();
+        this.palette.speed = stream.readUint8();
+        this.palette.frameCount = stream.readUint16();
+        this.palette.cycleCount = stream.readUint16();
+    }
+
+    readPaletteSettings(stream) {
+        this.palette.speed = stream.readUint8();
+        this.palette.flags = stream.readUint8();
+        this.palette.firstColor = stream.readUint8();
+        this.palette.lastColor = stream.readUint8();
+        this.palette.frameCount = stream.readUint16();
+        this.palette.cycleCount = stream.readUint16();
+    }
+}
+
+// Values shown in the main channels, or null where the channel is empty
+const MAIN_CHANNEL_VALUES = {
+    script: channels => channels.script.member ? channels.script : null,
+    tempo: channels => channels.tempo || null,
+    palette: channels => channels.palette.member ? memberRef(channels.palette.castLib, channels.palette.member) : null,
+    transition: channels => {
+        const transition = channels.transition;
+        if (transition.member) return memberRef(transition.castLib, transition.member);
+        return transition.type ? { type: transition.type } : null;
+    },
+    sound1: channels => channels.sound1.member ? channels.sound1 : null,
+    sound2: channels => channels.sound2.member ? channels.sound2 : null
+};
+
+/**
+ * ScoreFrame - The decoded channels of one frame. Empty sprite channels are left out.
+ */
+export class ScoreFrame {
+    constructor(number) {
+        this.number = number;
+        this.mainChannels = new MainChannels();
+        this.sprites = new Map();
+    }
+}
+
+/**
+ * SpriteSpan - A run of frames in which a sprite channel shows the same member
+ */
+export class SpriteSpan {
+    constructor(channel, startFrame, sprite) {
+        this.channel = channel;
+        this.startFrame = startFrame;
+        this.endFrame = startFrame;
+        // The sprite as it appears in the first frame of the span
+        this.sprite = sprite;
+        this.behaviors = [];
+    }
+
+    get frameCount() {
+        return this.endFrame - this.startFrame + 1;
+    }
+
+    toJSON() {
+        const sprite = this.sprite;
+        return {
+            channel: this.channel,
+            startFrame: this.startFrame,
+            endFrame: this.endFrame,
+            member: sprite.memberRef,
+            spriteType: sprite.spriteType,
+            ink: inkName(sprite.ink),
+            blend: sprite.blend,
+            loc: [sprite.locH, sprite.locV],
+            size: [sprite.width, sprite.height],
+            behaviors: this.behaviors
+        };
+    }
+}
+
+/**
+ * ScoreChunk - The score (VWSC): frames stored as deltas against the
+ * previous frame, and in Director 6+ the behaviors attached to sprites
+ */
+export class ScoreChunk extends Chunk {
+    constructor(dir, chunkType = ChunkType.kScoreChunk) {
+        super(dir, chunkType);
+        this.framesVersion = 0;
+        this.spriteRecordSize = 0;
+        this.numChannels = 0;
+        this.numChannelsDisplayed = 0;
+        this.frames = [];
+        this.spans = [];
+        // Director 6+: behavior lists keyed by the sprite list index that refers to them
+        this.behaviorLists = new Map();
+        this.frameIntervals = [];
+        // Written back as read, so a round-trip check proves nothing
+        this.writesOriginalData = true;
+    }
+
+    /**
+     * Slots at the start of each frame taken by the main channels
+     */
+    get mainChannelSlots() {
+        return this.dir.version >= 600 ? 6 : 2;
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    read(stream) {
+        // Frames are delta-compressed and not re-encoded, so keep the original bytes for writing
+        this.data = stream.readByteView(stream.size);
+        stream.seek(0);
+
+        stream.endianness = Endianness.kBigEndian;
+
+        let isEntryTable = false;
+        if (stream.size >= 24) {
+            stream.seek(4);
+            isEntryTable = stream.readInt32() === kEntryTableMarker && stream.readInt32() === kEntryTableHeaderSize;
+            stream.seek(0);
+        }
+
+        if (isEntryTable) {
+            this.readEntries(stream);
+        } else {
+            this.readFrameData(stream);
+        }
+        this.buildSpans();
+    }
+
+    size() {
+        return this.data.size;
+    }
+
+    write(stream) {
+        stream.writeBytes(this.data);
+    }
+
+    readEntries(stream) {
+        stream.readUint32(); // total length
+        stream.skip(8);
+        const entryCount = stream.readUint32();
+        stream.skip(8); // entry count + 1, sum of entry sizes
+
+        const offsets = [];
+        for (let i = 0; i <= entryCount; i++) {
+            offsets.push(stream.readUint32());
+        }
+
+        const base = stream.pos;
+        const entries = [];
+        for (let i = 0; i < entryCount; i++) {
+            const start = base + offsets[i];
+            const end = base + offsets[i + 1];
+            if (end < start || end > stream.size) {
+                throw new Error('Score entry ' + i + ' is out of bounds');
+            }
+            stream.seek(start);
+            entries.push(stream.readByteView(end - start));
+        }
+
+        if (entries.length > 0) {
+            this.readFrameData(new ReadStream(entries[0], Endianness.kBigEndian));
+        }
+        if (entries.length > 1) {
+            this.readFrameIntervals(entries);
+        }
+    }
+
+    /**
+     * Director 6+ sprites point at a primary entry holding the frame range,
+     * followed by an entry listing its behaviors
+     */
+    readFrameIntervals(entries) {
+        const orderStream = new ReadStream(entries[1], Endianness.kBigEndian);
+        if (orderStream.size < 4) return;
+
+        const count = orderStream.readUint32();
+        for (let i = 0; i < count && orderStream.pos + 4 <= orderStream.size; i++) {
+            const index = orderStream.readUint32();
+            const primary = entries[index];
+            if (!primary || primary.size < 20) continue;
+
+            const primaryStream = new ReadStream(primary, Endianness.kBigEndian);
+            const interval = {
+                spriteListIdx: index,
+                startFrame: primaryStream.readInt32(),
+                endFrame: primaryStream.readInt32(),
+                channelIndex: 0,
+                behaviors: []
+            };
+            primaryStream.skip(8);
+            interval.channelIndex = primaryStream.readInt32();
+
+            const secondary = entries[index + 1];
+            if (secondary) {
+                const secondaryStream = new ReadStream(secondary, Endianness.kBigEndian);
+                while (secondaryStream.pos + 8 <= secondaryStream.size) {
+                    const castLib = secondaryStream.readUint16();
+                    const member = secondaryStream.readUint16();
+                    secondaryStream.skip(4);
+                    interval.behaviors.push(memberRef(castLib, member));
+                }
+            }
+
+            this.frameIntervals.push(interval);
+            this.behaviorLists.set(index, interval.behaviors);
+        }
+    }
+
+    readFrameData(stream) {
+        const version = this.dir.version;
+        const end = Math.min(stream.readUint32(), stream.size);
+
+        if (version >= 400) {
+            const firstFrameOffset = stream.readUint32();
+            stream.readUint32(); // frame count
+            this.framesVersion = stream.readUint16();
+            this.spriteRecordSize = stream.readUint16();
+            this.numChannels = stream.readUint16();
+            this.numChannelsDisplayed = stream.readUint16();
+            if (firstFrameOffset > stream.pos) {
+                stream.seek(firstFrameOffset);
+            }
+        } else {
+            this.spriteRecordSize = kSpriteRecordSizeD2;
+            this.numChannels = kNumChannelsD2;
+            this.numChannelsDisplayed = kNumChannelsD2 - this.mainChannelSlots;
+        }
+
+        if (this.spriteRecordSize === 0 || this.numChannels <= this.mainChannelSlots) {
+            throw new Error('Score has no sprite channels');
+        }
+
+        // Each frame only stores the bytes that changed since the previous one
+        const channelData = new Uint8Array(this.numChannels * this.spriteRecordSize);
+        this.frames = [];
+        while (stream.pos + 2 <= end) {
+            const frameStart = stream.pos;
+            const frameLength = stream.readUint16();
+            // A 2-byte record repeats the previous frame unchanged
+            if (frameLength < 2 || frameStart + frameLength > end) break;
+            const frameEnd = frameStart + frameLength;
+
+            while (stream.pos < frameEnd) {
+                let deltaSize, deltaOffset;
+                if (version >= 400) {
+                    deltaSize = stream.readUint16();
+                    deltaOffset = stream.readUint16();
+                } else {
+                    deltaSize = stream.readUint8() * 2;
+                    deltaOffset = stream.readUint8() * 2;
+                }
+                if (stream.pos + deltaSize > frameEnd || deltaOffset + deltaSize > channelData.length) {
+                    throw new Error('Score frame ' + (this.frames.length + 1) + ' has a bad channel delta');
+                }
+                channelData.set(stream.readBytes(deltaSize), deltaOffset);
+            }
+
+            stream.seek(frameEnd);
+            this.frames.push(this.decodeFrame(channelData, this.frames.length + 1));
+        }
+    }
+
+    decodeFrame(channelData, number) {
+        const version = this.dir.version;
+        const recordSize = this.spriteRecordSize;
+        const mainSlots = this.mainChannelSlots;
+        const frame = new ScoreFrame(number);
+
+        const mainStream = new ReadStream(channelData.subarray(0, mainSlots * recordSize), Endianness.kBigEndian);
+        frame.mainChannels.read(mainStream, version, recordSize);
+
+        for (let channel = mainSlots; channel < this.numChannels; channel++) {
+            const offset = channel * recordSize;
+            if (isZeroed(channelData, offset, recordSize)) continue;
+
+            const spriteStream = new ReadStream(channelData.subarray(offset, offset + recordSize), Endianness.kBigEndian);
+            const sprite = new SpriteChannel();
+            sprite.read(spriteStream, version);
+            if (!sprite.isEmpty()) {
+                frame.sprites.set(channel - mainSlots + 1, sprite);
+            }
+        }
+        return frame;
+    }
+
+    /**
+     * Group consecutive frames showing the same sprite into spans
+     */
+    buildSpans() {
+        this.spans = [];
+        const open = new Map();
+
+        for (const frame of this.frames) {
+            for (const [channel, sprite] of frame.sprites) {
+                const span = open.get(channel);
+                if (span && span.endFrame === frame.number - 1 && span.sprite.spanKey() === sprite.spanKey()) {
+                    span.endFrame = frame.number;
+                    continue;
+                }
+
+                const newSpan = new SpriteSpan(channel, frame.number, sprite);
+                newSpan.behaviors = this.spriteBehaviors(sprite);
+                open.set(channel, newSpan);
+                this.spans.push(newSpan);
+            }
+        }
+
+        this.spans.sort((a, b) => a.channel - b.channel || a.startFrame - b.startFrame);
+    }
+
+    spriteBehaviors(sprite) {
+        if (this.dir.version >= 600) {
+            return this.behaviorLists.get(sprite.spriteListIdx) || [];
+        }
+        if (sprite.scriptMember > 0) {
+            return [memberRef(sprite.scriptCastLib, sprite.scriptMember)];
+        }
+        return [];
+    }
+
+    /**
+     * Runs of frames with the same value in one of the main channels:
+     * script, tempo, palette, transition, sound1 or sound2
+     */
+    mainChannelSpans(channel) {
+        const valueOf = MAIN_CHANNEL_VALUES[channel];
+        const spans = [];
+        let span = null;
+        for (const frame of this.frames) {
+            const value = valueOf(frame.mainChannels);
+            const key = value === null ? null : JSON.stringify(value);
+            if (span && key === span.key) {
+                span.endFrame = frame.number;
+                continue;
+            }
+            span = { key, startFrame: frame.number, endFrame: frame.number, value };
+            if (value !== null) spans.push(span);
+        }
+        return spans.map(({ key, ...rest }) => rest);
+    }
+
+    getFrame(number) {
+        return this.frames[number - 1] || null;
+    }
+
+    /**
+     * How long each frame shows, in milliseconds. A tempo setting lasts
+     * until the next one; waits and cue points are ignored.
+     */
+    frameDurations(defaultFps) {
+        let fps = defaultFps;
+        return this.frames.map(frame => {
+            const tempo = frame.mainChannels.tempo;
+            if (tempo >= 1 && tempo <= 120) fps = tempo;
+            return 1000 / fps;
+        });
+    }
+
+    /**
+     * Spans in a sprite channel, or every span that covers a frame
+     */
+    getSpansInChannel(channel) {
+        return this.spans.filter(span => span.channel === channel);
+    }
+
+    getSpansAtFrame(number) {
+        return this.spans.filter(span => span.startFrame <= number && span.endFrame >= number);
+    }
+
+    toJSON() {
+        return {
+            framesVersion: this.framesVersion,
+            spriteRecordSize: this.spriteRecordSize,
+            numChannels: this.numChannels,
+            numChannelsDisplayed: this.numChannelsDisplayed,
+            frameCount: this.frameCount,
+            spans: this.spans
+        };
+    }
+}
+
+/**
+ * FilmLoopChunk - A film loop member's own score (SCVW), stored like the
+ * frame data of the movie score
+ */
+export class FilmLoopChunk extends ScoreChunk {
+    constructor(dir) {
+        super(dir, ChunkType.kFilmLoopChunk);
+    }
+
+    /**
+     * The area covered by the loop's sprites, for loops whose member has no rect
+     */
+    get bounds() {
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        for (const frame of this.frames) {
+            for (const sprite of frame.sprites.values()) {
+                left = Math.min(left, sprite.locH);
+                top = Math.min(top, sprite.locV);
+                right = Math.max(right, sprite.locH + sprite.width);
+                bottom = Math.max(bottom, sprite.locV + sprite.height);
+            }
+        }
+        if (left > right) return { left: 0, top: 0, right: 0, bottom: 0 };
+        return { left, top, right, bottom };
+    }
+}
+
+/**
+ * FrameLabelsChunk - Markers (VWLB): a label and optional comment for a frame
+ */
+export class FrameLabelsChunk extends Chunk {
+    constructor(dir) {
+        super(dir, ChunkType.kFrameLabelsChunk);
+        this.labels = [];
+        // Written back as read, so a round-trip check proves nothing
+        this.writesOriginalData = true;
+    }
+
+    read(stream) {
+        // Labels are not re-encoded, so keep the original bytes for writing
+        this.data = stream.readByteView(stream.size);
+        stream.seek(0);
+
+        stream.endianness = Endianness.kBigEndian;
+        this.labels = [];
+        if (stream.size < 2) return;
+
+        // The last entry only marks where the final label's text ends
+        const count = stream.readUint16() + 1;
+        const textStart = 2 + count * 4;
+        const entries = [];
+        for (let i = 0; i < count && stream.pos + 4 <= stream.size; i++) {
+            entries.push({ frame: stream.readUint16(), offset: stream.readUint16() });
+        }
+
+        for (let i = 0; i + 1 < entries.length; i++) {
+            const start = textStart + entries[i].offset;
+            const end = Math.min(textStart + entries[i + 1].offset, stream.size);
+            if (end < start) continue;
+
+            stream.seek(start);
+            const lines = stream.readString(end - start).split('\r');
+            this.labels.push({
+                frame: entries[i].frame,
+                label: lines[0],
+                comment: lines.slice(1).join('\n')
+            });
+        }
+    }
+
+    size() {
+        return this.data.size;
+    }
+
+    write(stream) {
+        stream.writeBytes(this.data);
+    }
+
+    /**
+     * Frame numbers by lowercase label. Lingo matches labels without regard
+     * to case; the first marker with a name wins.
+     */
+    get framesByLabel() {
+        const frames = new Map();
+        for (const { frame, label } of this.labels) {
+            const key = label.toLowerCase();
+            if (!frames.has(key)) frames.set(key, frame);
+        }
+        return frames;
+    }
+
+    getLabelsAtFrame(frame) {
+        return this.labels.filter(label => label.frame === frame);
+    }
+}
@@ -0,0 +1,202 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { BufferView } from '../stream.js';
+
+// Bitrates in kbps, indexed by [version][layer][bitrateIndex]
+const MPEG1_BITRATES = {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+};
+const MPEG2_BITRATES = {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000]
+};
+
+/**
+ * Parse an MPEG audio frame header at the given offset.
+ * Returns null if the bytes there are not a valid frame header.
+ */
+export function parseMpegFrameHeader(bytes, offset) {
+    if (offset + 4 > bytes.length) return null;
+    const b1 = bytes[offset + 1];
+    const b2 = bytes[offset + 2];
+    const b3 = bytes[offset + 3];
+    if (bytes[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) return null;
+
+    const versionBits = (b1 >> 3) & 0x03;
+    const layerBits = (b1 >> 1) & 0x03;
+    const bitrateIndex = (b2 >> 4) & 0x0F;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const version = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 2.5);
+    const layer = 4 - layerBits;
+    const bitrate = (version === 1 ? MPEG1_BITRATES : MPEG2_BITRATES)[layer][bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (b2 >> 1) & 0x01;
+    const channels = ((b3 >> 6) & 0x03) === 3 ? 1 : 2;
+
+    let frameLength;
+    if (layer === 1) {
+        frameLength = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+    } else if (layer === 3 && version !== 1) {
+        frameLength = Math.floor(72 * bitrate / sampleRate) + padding;
+    } else {
+        frameLength = Math.floor(144 * bitrate / sampleRate) + padding;
+    }
+
+    return { version, layer, bitrate, sampleRate, channels, frameLength };
+}
+
+/**
+ * Find the first offset where two consecutive valid MPEG frames start
+ */
+function findMpegStart(bytes) {
+    for (let i = 0; i + 4 <= bytes.length; i++) {
+        const header = parseMpegFrameHeader(bytes, i);
+        if (!header) continue;
+
+        const next = i + header.frameLength;
+        if (next === bytes.length || parseMpegFrameHeader(bytes, next)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split a chunk stored with SND_COMPRESSION_GUID.
+ *
+ * Shockwave Audio keeps the original snd header uncompressed, followed by
+ * the samples encoded as MPEG audio frames. Returns { header, mpeg } views,
+ * or null if no MPEG stream could be found.
+ */
+export function splitShockwaveAudio(view) {
+    const bytes = view.data;
+    const start = findMpegStart(bytes);
+    if (start < 0) return null;
+
+    let end = start;
+    while (end < bytes.length) {
+        const header = parseMpegFrameHeader(bytes, end);
+        if (!header || end + header.frameLength > bytes.length) break;
+        end += header.frameLength;
+    }
+
+    return {
+        header: new BufferView(view, 0, start),
+        mpeg: new BufferView(view, start, end - start)
+    };
+}
+
+// Sampled sound header encodings
+const kStandardSoundHeader = 0x00;
+const kExtendedSoundHeader = 0xFF;
+
+/**
+ * Parse a Mac snd resource (format 1 or 2) up to its sampled sound header.
+ * Returns { dataOffset, channels, bitsPerSample, sampleRate } or null if
+ * the header is not one with uncompressed samples.
+ */
+export function parseSndHeader(bytes) {
+    if (bytes.length < 6) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let pos = 0;
+    const format = view.getUint16(pos);
+    pos += 2;
+    if (format === 1) {
+        const dataFormatCount = view.getUint16(pos);
+        pos += 2 + dataFormatCount * 6;
+    } else if (format === 2) {
+        pos += 2; // reference count
+    } else {
+        return null;
+    }
+
+    if (pos + 2 > bytes.length) return null;
+    const commandCount = view.getUint16(pos);
+    pos += 2;
+
+    let headerOffset = -1;
+    for (let i = 0; i < commandCount && pos + 8 <= bytes.length; i++, pos += 8) {
+        // bufferCmd or soundCmd, with the data offset flag
+        const command = view.getUint16(pos);
+        if (command === 0x8050 || command === 0x8051) {
+            headerOffset = view.getUint32(pos + 4);
+        }
+    }
+    if (headerOffset < 0 || headerOffset + 22 > bytes.length) return null;
+
+    const sampleRate = view.getUint32(headerOffset + 8) / 65536;
+    const encoding = view.getUint8(headerOffset + 20);
+    if (encoding === kStandardSoundHeader) {
+        return { dataOffset: headerOffset + 22, channels: 1, bitsPerSample: 8, sampleRate };
+    }
+    if (encoding === kExtendedSoundHeader && headerOffset + 64 <= bytes.length) {
+        return {
+            dataOffset: headerOffset + 64,
+            channels: view.getUint32(headerOffset + 4),
+            bitsPerSample: view.getUint16(headerOffset + 48),
+            sampleRate
+        };
+    }
+    return null;
+}
+
+/**
+ * Rebuild the uncompressed snd chunk from a Shockwave Audio header and its
+ * decoded samples ({ channels: [Float32Array, ...] }, at the header's
+ * sample rate). The result is exactly `length` bytes, the chunk's
+ * uncompressed size; the encoder's padding is cut off and any shortfall
+ * filled with silence.
+ */
+export function buildSndChunk(headerView, decoded, length) {
+    const header = headerView.data;
+    const info = parseSndHeader(header);
+    if (!info || info.dataOffset > header.length || (info.bitsPerSample !== 8 && info.bitsPerSample !== 16)) {
+        throw new Error('Shockwave Audio chunk has no usable snd header');
+    }
+    if (info.dataOffset > length) {
+        throw new Error('Shockwave Audio snd header is longer than the uncompressed chunk');
+    }
+
+    const out = new Uint8Array(length);
+    out.set(header.subarray(0, info.dataOffset));
+
+    const view = new DataView(out.buffer);
+    const bytesPerSample = info.bitsPerSample / 8;
+    const frameCount = Math.floor((length - info.dataOffset) / (bytesPerSample * info.channels));
+    const sources = decoded.channels;
+    let pos = info.dataOffset;
+    for (let i = 0; i < frameCount; i++) {
+        for (let c = 0; c < info.channels; c++) {
+            const source = sources[Math.min(c, sources.length - 1)];
+            const sample = i < source.length ? Math.max(-1, Math.min(1, source[i])) : 0;
+            if (bytesPerSample === 1) {
+                // 8-bit snd samples are unsigned
+                out[pos] = Math.round(sample * 127) + 128;
+            } else {
+                view.setInt16(pos, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, false);
+            }
+            pos += bytesPerSample;
+        }
+    }
+    if (bytesPerSample === 1) {
+        out.fill(128, pos);
+    }
+    return out;
+}
@@ -6,6 +6,47 @@
 
 import { fourCCToString } from '../lingodec/enums.js';
 
+/**
+ * Read a 16-byte GUID, formatted the same way as MoaID.toString()
+ */
+export function readGUIDString(stream) {
+    const data1 = stream.readUint32();
+    const data2 = stream.readUint16();
+    const data3 = stream.readUint16();
+    const data4 = Array.from(stream.readBytes(8));
+    return `${data1.toString(16).padStart(8, '0')}-${data2.toString(16).padStart(4, '0')}-` +
+        `${data3.toString(16).padStart(4, '0')}-${data4.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * EditInfo - Where an editor window was and what was selected in it,
+ * saved with scripts and text members
+ */
+export class EditInfo {
+    constructor() {
+        this.rect = { top: 0, left: 0, bottom: 0, right: 0 };
+        this.selStart = 0;
+        this.selEnd = 0;
+        this.version = 0;
+        this.rulerFlag = 0;
+    }
+
+    read(stream) {
+        this.rect = {
+            top: stream.readInt16(),
+            left: stream.readInt16(),
+            bottom: stream.readInt16(),
+            right: stream.readInt16()
+        };
+        this.selStart = stream.readUint32();
+        this.selEnd = stream.readUint32();
+        if (stream.pos + 2 <= stream.size) {
+            this.version = stream.readUint8();
+            this.rulerFlag = stream.readUint8();
+        }
+    }
+}
+
 /**
  * CastListEntry - Entry in the cast list
  */
@@ -90,6 +131,12 @@ export class KeyTableEntry {
         this.fourCC = stream.readUint32();
     }
 
+    write(stream) {
+        stream.writeInt32(this.sectionID);
+        stream.writeInt32(this.castID);
+        stream.writeUint32(this.fourCC);
+    }
+
     toJSON() {
         return {
             sectionID: this.sectionID,
@@ -0,0 +1,213 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { ReadStream, toUint8Array } from '../stream.js';
+import { Endianness } from '../lingodec/enums.js';
+
+const kStyleRunSize = 20;
+
+// Mac Roman to Unicode mapping for extended characters
+const MAC_ROMAN_MAP = {
+    0x80: '\u00C4', 0x81: '\u00C5', 0x82: '\u00C7', 0x83: '\u00C9',
+    0x84: '\u00D1', 0x85: '\u00D6', 0x86: '\u00DC', 0x87: '\u00E1',
+    0x88: '\u00E0', 0x89: '\u00E2', 0x8A: '\u00E4', 0x8B: '\u00E3',
+    0x8C: '\u00E5', 0x8D: '\u00E7', 0x8E: '\u00E9', 0x8F: '\u00E8',
+    0x90: '\u00EA', 0x91: '\u00EB', 0x92: '\u00ED', 0x93: '\u00EC',
+    0x94: '\u00EE', 0x95: '\u00EF', 0x96: '\u00F1', 0x97: '\u00F3',
+    0x98: '\u00F2', 0x99: '\u00F4', 0x9A: '\u00F6', 0x9B: '\u00F5',
+    0x9C: '\u00FA', 0x9D: '\u00F9', 0x9E: '\u00FB', 0x9F: '\u00FC',
+    0xA0: '\u2020', 0xA1: '\u00B0', 0xA2: '\u00A2', 0xA3: '\u00A3',
+    0xA4: '\u00A7', 0xA5: '\u2022', 0xA6: '\u00B6', 0xA7: '\u00DF',
+    0xA8: '\u00AE', 0xA9: '\u00A9', 0xAA: '\u2122', 0xAB: '\u00B4',
+    0xAC: '\u00A8', 0xAD: '\u2260', 0xAE: '\u00C6', 0xAF: '\u00D8',
+    0xB0: '\u221E', 0xB1: '\u00B1', 0xB2: '\u2264', 0xB3: '\u2265',
+    0xB4: '\u00A5', 0xB5: '\u00B5', 0xB6: '\u2202', 0xB7: '\u2211',
+    0xB8: '\u220F', 0xB9: '\u03C0', 0xBA: '\u222B', 0xBB: '\u00AA',
+    0xBC: '\u00BA', 0xBD: '\u03A9', 0xBE: '\u00E6', 0xBF: '\u00F8',
+    0xC0: '\u00BF', 0xC1: '\u00A1', 0xC2: '\u00AC', 0xC3: '\u221A',
+    0xC4: '\u0192', 0xC5: '\u2248', 0xC6: '\u2206', 0xC7: '\u00AB',
+    0xC8: '\u00BB', 0xC9: '\u2026', 0xCA: '\u00A0', 0xCB: '\u00C0',
+    0xCC: '\u00C3', 0xCD: '\u00D5', 0xCE: '\u0152', 0xCF: '\u0153',
+    0xD0: '\u2013', 0xD1: '\u2014', 0xD2: '\u201C', 0xD3: '\u201D',
+    0xD4: '\u2018', 0xD5: '\u2019', 0xD6: '\u00F7', 0xD7: '\u25CA',
+    0xD8: '\u00FF', 0xD9: '\u0178', 0xDA: '\u2044', 0xDB: '\u20AC',
+    0xDC: '\u2039', 0xDD: '\u203A', 0xDE: '\uFB01', 0xDF: '\uFB02',
+    0xE0: '\u2021', 0xE1: '\u00B7', 0xE2: '\u201A', 0xE3: '\u201E',
+    0xE4: '\u2030', 0xE5: '\u00C2', 0xE6: '\u00CA', 0xE7: '\u00C1',
+    0xE8: '\u00CB', 0xE9: '\u00C8', 0xEA: '\u00CD', 0xEB: '\u00CE',
+    0xEC: '\u00CF', 0xED: '\u00CC', 0xEE: '\u00D3', 0xEF: '\u00D4',
+    0xF0: '\uF8FF', 0xF1: '\u00D2', 0xF2: '\u00DA', 0xF3: '\u00DB',
+    0xF4: '\u00D9', 0xF5: '\u0131', 0xF6: '\u02C6', 0xF7: '\u02DC',
+    0xF8: '\u00AF', 0xF9: '\u02D8', 0xFA: '\u02D9', 0xFB: '\u02DA',
+    0xFC: '\u00B8', 0xFD: '\u02DD', 0xFE: '\u02DB', 0xFF: '\u02C7'
+};
+
+function macRomanToUtf8(bytes, start, length) {
+    let result = '';
+    for (let i = start; i < start + length && i < bytes.length; i++) {
+        const byte = bytes[i];
+        if (byte === 0) break; // Null terminator
+        if (byte < 128) {
+            result += String.fromCharCode(byte);
+        } else {
+            result += MAC_ROMAN_MAP[byte] || String.fromCharCode(byte);
+        }
+    }
+    return result;
+}
+
+// Config platform of movies authored on Windows
+const kPlatformWindows = 2;
+
+/**
+ * Decode text member bytes in the authoring platform's encoding: Mac
+ * Roman, or Windows-1252 for movies made on Windows
+ */
+export function decodeText(bytes, platform) {
+    if (platform === kPlatformWindows) {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+    return macRomanToUtf8(bytes, 0, bytes.length);
+}
+
+// Mac QuickDraw style bits
+export const TextStyle = {
+    kBold: 0x01,
+    kItalic: 0x02,
+    kUnderline: 0x04,
+    kOutline: 0x08,
+    kShadow: 0x10,
+    kCondense: 0x20,
+    kExtend: 0x40
+};
+
+/**
+ * StyleRun - Formatting that applies from a character offset up to the next run
+ */
+export class StyleRun {
+    constructor() {
+        this.start = 0;
+        this.height = 0;
+        this.ascent = 0;
+        this.fontId = 0;
+        this.style = 0;
+        this.size = 0;
+        this.color = [0, 0, 0];
+    }
+
+    read(stream) {
+        this.start = stream.readUint32();
+        this.height = stream.readUint16();
+        this.ascent = stream.readUint16();
+        this.fontId = stream.readUint16();
+        this.style = stream.readUint8();
+        stream.readUint8(); // padding
+        this.size = stream.readUint16();
+        // 16-bit QuickDraw RGB, keep the high byte
+        this.color = [stream.readUint16() >> 8, stream.readUint16() >> 8, stream.readUint16() >> 8];
+    }
+
+    get bold() { return (this.style & TextStyle.kBold) !== 0; }
+    get italic() { return (this.style & TextStyle.kItalic) !== 0; }
+    get underline() { return (this.style & TextStyle.kUnderline) !== 0; }
+    get outline() { return (this.style & TextStyle.kOutline) !== 0; }
+    get shadow() { return (this.style & TextStyle.kShadow) !== 0; }
+    get condense() { return (this.style & TextStyle.kCondense) !== 0; }
+    get extend() { return (this.style & TextStyle.kExtend) !== 0; }
+}
+
+/**
+ * Parse an STXT chunk: a header giving the text offset and length, the
+ * text in the authoring platform's encoding, then a count of style runs and the runs themselves.
+ * Returns { textBytes, runs } with the runs sorted by start offset.
+ */
+export function parseStyledText(data) {
+    const bytes = toUint8Array(data);
+    const stream = new ReadStream(bytes, Endianness.kBigEndian);
+    const textOffset = stream.readUint32();
+    const textLength = stream.readUint32();
+    stream.readUint32(); // formatting data length
+
+    const textEnd = Math.min(textOffset + textLength, bytes.length);
+    const textBytes = bytes.subarray(Math.min(textOffset, textEnd), textEnd);
+
+    const runs = [];
+    if (textEnd + 2 <= bytes.length) {
+        stream.seek(textEnd);
+        const count = stream.readUint16();
+        for (let i = 0; i < count && stream.pos + kStyleRunSize <= stream.size; i++) {
+            const run = new StyleRun();
+            run.read(stream);
+            runs.push(run);
+        }
+        runs.sort((a, b) => a.start - b.start);
+    }
+    return { textBytes, runs };
+}
+
+function rtfEscape(str) {
+    return str.replace(/[\\{}]/g, c => '\\' + c);
+}
+
+function rtfText(text) {
+    let out = '';
+    for (const c of text) {
+        const code = c.charCodeAt(0);
+        if (c === '\r' || c === '\n') out += '\\par\n';
+        else if (c === '\t') out += '\\tab ';
+        else if (c === '\\' || c === '{' || c === '}') out += '\\' + c;
+        else if (code >= 0x20 && code < 0x80) out += c;
+        else if (code >= 0x20) {
+            for (const unit of c.split('').map(u => u.charCodeAt(0))) {
+                out += '\\u' + (unit > 0x7FFF ? unit - 0x10000 : unit) + '?';
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Write styled text (already decoded to a string) as RTF, with the font and
+ * colour tables built from the style runs. fontName(id) supplies the name
+ * for each font ID.
+ */
+export function styledTextToRtf(text, runs, fontName) {
+    const fontIds = [...new Set(runs.map(run => run.fontId))];
+    const colors = [...new Set(runs.map(run => run.color.join(',')))];
+
+    let rtf = '{\\rtf1\\ansi\\uc1\\deff0\n{\\fonttbl';
+    fontIds.forEach((id, i) => {
+        rtf += `{\\f${i}\\fnil ${rtfEscape(fontName(id))};}`;
+    });
+    rtf += '}\n{\\colortbl;';
+    for (const color of colors) {
+        const [r, g, b] = color.split(',');
+        rtf += `\\red${r}\\green${g}\\blue${b};`;
+    }
+    rtf += '}\n';
+
+    if (runs.length === 0) {
+        rtf += rtfText(text);
+    }
+    for (let i = 0; i < runs.length; i++) {
+        const run = runs[i];
+        const start = i === 0 ? 0 : Math.min(run.start, text.length);
+        const end = i + 1 < runs.length ? Math.min(runs[i + 1].start, text.length) : text.length;
+        if (end <= start) continue;
+
+        rtf += `\\plain\\f${fontIds.indexOf(run.fontId)}\\fs${(run.size || 12) * 2}` +
+            `\\cf${colors.indexOf(run.color.join(',')) + 1}`;
+        if (run.bold) rtf += '\\b';
+        if (run.italic) rtf += '\\i';
+        if (run.underline) rtf += '\\ul';
+        if (run.outline) rtf += '\\outl';
+        if (run.shadow) rtf += '\\shad';
+        if (run.condense) rtf += '\\expnd-2\\expndtw-10';
+        if (run.extend) rtf += '\\expnd2\\expndtw10';
+        rtf += ' ' + rtfText(text.slice(start, end));
+    }
+    return rtf + '}';
+}
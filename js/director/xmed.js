@@ -0,0 +1,71 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { toUint8Array } from '../stream.js';
+
+/**
+ * Director 7+ Text members belong to the Text Xtra, which keeps their
+ * content in an XMED chunk.
+ *
+ * Only part of the format is understood. The chunk starts with "XMED", or
+ * "DEMX" when written little-endian. The text is stored as its length in
+ * ASCII hex, a comma, then the text itself. The section layout, and with it
+ * the paragraphs, character runs, fonts, colours, alignment and anti-alias
+ * settings, is not decoded: only the text is returned, and callers should
+ * say so rather than present it as the member's styled text.
+ */
+
+function isHexDigit(byte) {
+    return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x46) || (byte >= 0x61 && byte <= 0x66);
+}
+
+/**
+ * Text has no control characters besides CR, LF and tab
+ */
+function isPlainText(bytes) {
+    return bytes.every(b => b >= 0x20 || b === 0x0D || b === 0x0A || b === 0x09);
+}
+
+/**
+ * Find the "<hex length>,<text>" field. Other sections use the same
+ * encoding for short values, some of them binary, so only fields holding
+ * plain text are considered and the longest of those is taken.
+ */
+function findTextField(bytes) {
+    let best = null;
+    for (let comma = 1; comma < bytes.length; comma++) {
+        if (bytes[comma] !== 0x2C) continue;
+
+        let start = comma;
+        while (start > 0 && comma - start < 8 && isHexDigit(bytes[start - 1])) start--;
+        if (start === comma || (start > 0 && isHexDigit(bytes[start - 1]))) continue;
+
+        const length = parseInt(String.fromCharCode(...bytes.subarray(start, comma)), 16);
+        if (length > 0 && comma + 1 + length <= bytes.length && (!best || length > best.length) &&
+            isPlainText(bytes.subarray(comma + 1, comma + 1 + length))) {
+            best = { offset: comma + 1, length };
+        }
+    }
+    return best;
+}
+
+/**
+ * Parse an XMED chunk. Returns { littleEndian, textBytes }, with textBytes
+ * null when no text field was found.
+ */
+export function parseXmed(data) {
+    const bytes = toUint8Array(data);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+    if (magic !== 'XMED' && magic !== 'DEMX') {
+        throw new Error('Not an XMED chunk');
+    }
+
+    const field = findTextField(bytes.subarray(4));
+    return {
+        littleEndian: magic === 'DEMX',
+        textBytes: field ? bytes.subarray(4 + field.offset, 4 + field.offset + field.length) : null
+    };
+}
@@ -0,0 +1,146 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { Endianness } from '../lingodec/enums.js';
+import { toUint8Array } from '../stream.js';
+import { Chunk, ChunkType } from './chunk.js';
+import { readGUIDString } from './subchunk.js';
+
+const kEntryHeaderSize = 20;
+
+/**
+ * An Xtra name reduced to what identifies it: lower case, without a file
+ * extension and without spaces, underscores or hyphens, so "Vector Shape",
+ * "vectorShape" and "VectorShape.x32" compare equal
+ */
+function normalizeXtraName(name) {
+    return name.toLowerCase()
+        .replace(/\.(x32|x16|xtr|xtra|dll|cpio)$/, '')
+        .replace(/[\s_-]+/g, '');
+}
+
+/**
+ * XtraEntry - One Xtra the movie needs
+ */
+export class XtraEntry {
+    constructor() {
+        this.flags = 0;
+        this.guid = '';
+        this.name = '';
+        // Other file names the Xtra goes by, e.g. per platform
+        this.fileNames = [];
+        // Where Shockwave downloads the Xtra from
+        this.urls = [];
+    }
+
+    matches(xtraType) {
+        const type = normalizeXtraName(xtraType);
+        return type !== '' && [this.name, ...this.fileNames].some(name => normalizeXtraName(name) === type);
+    }
+}
+
+/**
+ * After an entry's flags and GUID come its strings, each a length byte and
+ * that many characters, up to the end of the entry. Zero lengths are
+ * padding.
+ */
+function readEntryStrings(stream, end, index) {
+    const strings = [];
+    while (stream.pos < end) {
+        const length = stream.readUint8();
+        if (length === 0) continue;
+        if (stream.pos + length > end) {
+            throw new Error('Xtra list entry ' + (index + 1) + ' has a string past its end');
+        }
+        strings.push(stream.readString(length));
+    }
+    return strings;
+}
+
+/**
+ * XtraListChunk - The Xtras a movie depends on (XTRl)
+ */
+export class XtraListChunk extends Chunk {
+    constructor(dir) {
+        super(dir, ChunkType.kXtraListChunk);
+        this.entries = [];
+        // Written back as read, so a round-trip check proves nothing
+        this.writesOriginalData = true;
+    }
+
+    read(stream) {
+        // Entries are not re-encoded, so keep the original bytes for writing
+        this.data = stream.readByteView(stream.size);
+        stream.seek(0);
+
+        stream.endianness = Endianness.kBigEndian;
+        stream.readUint32(); // unknown, usually 0
+        let count = stream.readUint32();
+        // Some writers store it little-endian
+        if (count * kEntryHeaderSize > stream.size) {
+            stream.seek(0);
+            stream.endianness = Endianness.kLittleEndian;
+            stream.readUint32();
+            count = stream.readUint32();
+        }
+
+        this.entries = [];
+        for (let i = 0; i < count; i++) {
+            if (stream.pos + 4 > stream.size) {
+                throw new Error('Xtra list ends before entry ' + (i + 1) + ' of ' + count);
+            }
+            const length = stream.readUint32();
+            const end = stream.pos + length;
+            if (length < kEntryHeaderSize || end > stream.size) {
+                throw new Error('Xtra list entry ' + (i + 1) + ' has a bad length');
+            }
+
+            const entry = new XtraEntry();
+            entry.flags = stream.readUint32();
+            entry.guid = readGUIDString(stream);
+            for (const str of readEntryStrings(stream, end, i)) {
+                if (str.includes('://')) {
+                    entry.urls.push(str);
+                } else if (!entry.name) {
+                    entry.name = str;
+                } else {
+                    entry.fileNames.push(str);
+                }
+            }
+            this.entries.push(entry);
+            stream.seek(end);
+        }
+    }
+
+    size() {
+        return this.data.size;
+    }
+
+    write(stream) {
+        stream.writeBytes(this.data);
+    }
+
+    /**
+     * Whether an Xtra cast member's type (e.g. "vectorShape") is covered
+     * by an entry
+     */
+    findEntry(xtraType) {
+        return this.entries.find(entry => entry.matches(xtraType)) || null;
+    }
+}
+
+/**
+ * The Xtra type name in an Xtra member's specific data, or '' if there is none
+ */
+export function xtraMemberType(member) {
+    if (!member.specificData) return '';
+
+    const bytes = toUint8Array(member.specificData);
+    if (bytes.length < 4) return '';
+    const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, false);
+    if (length === 0 || length > bytes.length - 4) return '';
+    return String.fromCharCode(...bytes.subarray(4, 4 + length));
+}
@@ -75,6 +75,10 @@ export function floatToString(f) {
  */
 export class CodeWriter {
     constructor(lineEnding = '\n', indentation = '  ') {
+        // Optional map of lowercase frame label -> frame number, used to
+        // annotate label literals in go/play/label calls
+        this.frameLabels = null;
+        this._annotations = [];
         this._output = '';
         this._lineEnding = lineEnding;
         this._indentation = indentation;
@@ -98,12 +102,37 @@ export class CodeWriter {
         if (str) {
             this.write(str);
         }
+        if (this._annotations.length > 0) {
+            this.write(' -- ' + this._annotations.join(', '));
+            this._annotations = [];
+        }
         this._output += this._lineEnding;
         this._size += this._lineEnding.length;
         this._lineWidth = 0;
         this._indentationWritten = false;
     }
 
+    /**
+     * Add a comment to the end of the current line
+     */
+    annotate(str) {
+        this._annotations.push(str);
+    }
+
+    /**
+     * Note the frame a label literal points to, if it is a known label
+     */
+    annotateFrameLabel(node) {
+        if (!this.frameLabels || !node || node.type !== NodeType.kLiteralNode) return;
+
+        const value = node.getValue();
+        if (value.type !== DatumType.kDatumString) return;
+        const frame = this.frameLabels.get(value.s.toLowerCase());
+        if (frame !== undefined) {
+            this.annotate(`"${value.s}" is frame ${frame}`);
+        }
+    }
+
     indent() {
         this._indentationLevel++;
     }
@@ -1271,6 +1300,7 @@ export class PlayCmdStmtNode extends StmtNode {
         if (rawArgs.length === 1) {
             code.write(' frame ');
             frame.writeScriptText(code, dot, sum);
+            code.annotateFrameLabel(frame);
             return;
         }
 
@@ -1288,6 +1318,9 @@ export class PlayCmdStmtNode extends StmtNode {
     }
 }
 
+// Calls whose single argument may be a frame label
+const FRAME_LABEL_CALLS = new Set(['go', 'play', 'label']);
+
 /**
  * CallNode - Function call
  */
@@ -1376,6 +1409,12 @@ export class CallNode extends Node {
             this.argList.writeScriptText(code, dot, sum);
             code.write(')');
         }
+
+        // Labels in another movie can't be resolved here
+        const args = this.argList.getValue().l;
+        if (FRAME_LABEL_CALLS.has(this.name.toLowerCase()) && args.length === 1) {
+            code.annotateFrameLabel(args[0]);
+        }
     }
 
     hasSpaces(dot) {
@@ -1422,6 +1461,10 @@ export class ObjCallNode extends Node {
             rawArgs[i].writeScriptText(code, dot, sum);
         }
         code.write(')');
+
+        if (FRAME_LABEL_CALLS.has(this.name.toLowerCase()) && rawArgs.length === 2) {
+            code.annotateFrameLabel(rawArgs[1]);
+        }
     }
 
     hasSpaces(dot) {
@@ -0,0 +1,295 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Parser for Lingo value literals, as found in fields and text members that
+ * hold configuration: [#name: "x", #items: [1, 2], #loc: point(10, 20)].
+ *
+ * Values come back as plain JavaScript where possible (numbers, strings,
+ * arrays, true/false, null for VOID) and as the classes below otherwise.
+ */
+
+export class LingoSymbol {
+    constructor(name) {
+        this.name = name;
+    }
+
+    toJSON() {
+        return '#' + this.name;
+    }
+}
+
+export class LingoPropList {
+    constructor() {
+        // [key, value] pairs; property lists keep their order and may repeat keys
+        this.entries = [];
+    }
+
+    // Pairs in order, so repeated keys and #a next to "a" both survive
+    toJSON() {
+        return { propList: this.entries.map(([key, value]) => [key, value]) };
+    }
+}
+
+export class LingoPoint {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    toJSON() {
+        return { point: [this.x, this.y] };
+    }
+}
+
+export class LingoRect {
+    constructor(left, top, right, bottom) {
+        this.left = left;
+        this.top = top;
+        this.right = right;
+        this.bottom = bottom;
+    }
+
+    toJSON() {
+        return { rect: [this.left, this.top, this.right, this.bottom] };
+    }
+}
+
+export class LingoColor {
+    constructor(red, green, blue, paletteIndex = null) {
+        this.red = red;
+        this.green = green;
+        this.blue = blue;
+        this.paletteIndex = paletteIndex;
+    }
+
+    toJSON() {
+        if (this.paletteIndex !== null) return { paletteIndex: this.paletteIndex };
+        return { color: [this.red, this.green, this.blue] };
+    }
+}
+
+// String constants that can be concatenated with string literals
+const STRING_CONSTANTS = {
+    quote: '"',
+    return: '\r',
+    enter: '\x03',
+    tab: '\t',
+    space: ' ',
+    backspace: '\b',
+    empty: ''
+};
+
+const VALUE_CONSTANTS = {
+    true: true,
+    false: false,
+    void: null
+};
+
+class LiteralParser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+    }
+
+    error(message) {
+        throw new Error(`${message} at character ${this.pos + 1}`);
+    }
+
+    skipSpace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+    }
+
+    peek() {
+        this.skipSpace();
+        return this.text[this.pos];
+    }
+
+    expect(ch) {
+        if (this.peek() !== ch) this.error(`Expected "${ch}"`);
+        this.pos++;
+    }
+
+    readIdentifier() {
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.text.slice(this.pos));
+        if (!match) this.error('Expected a name');
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    parseDocument() {
+        const value = this.parseValue();
+        if (this.peek() !== undefined) this.error('Unexpected text after value');
+        return value;
+    }
+
+    parseValue() {
+        const ch = this.peek();
+        if (ch === undefined) this.error('Unexpected end of text');
+        if (ch === '[') return this.parseList();
+        if (ch === '#') {
+            this.pos++;
+            return new LingoSymbol(this.readIdentifier());
+        }
+        if (ch === '"') return this.parseStringExpr();
+        if (ch === '-' || ch === '+' || ch === '.' || /[0-9]/.test(ch)) return this.parseNumber();
+        if (/[A-Za-z_]/.test(ch)) return this.parseName();
+        this.error(`Unexpected "${ch}"`);
+    }
+
+    parseNumber() {
+        const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(this.text.slice(this.pos));
+        if (!match) this.error('Expected a number');
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    parseString() {
+        this.expect('"');
+        const end = this.text.indexOf('"', this.pos);
+        if (end < 0) this.error('Unterminated string');
+        const str = this.text.slice(this.pos, end);
+        this.pos = end + 1;
+        return str;
+    }
+
+    /**
+     * A string literal or string constant, joined to others with & or &&
+     */
+    parseStringPart() {
+        if (this.peek() === '"') return this.parseString();
+
+        const start = this.pos;
+        const name = this.readIdentifier().toLowerCase();
+        if (!(name in STRING_CONSTANTS)) {
+            this.pos = start;
+            this.error('Expected a string');
+        }
+        return STRING_CONSTANTS[name];
+    }
+
+    parseStringExpr(first = this.parseStringPart()) {
+        let str = first;
+        while (this.peek() === '&') {
+            this.pos++;
+            const separator = this.text[this.pos] === '&' ? ' ' : '';
+            if (separator) this.pos++;
+            str += separator + this.parseStringPart();
+        }
+        return str;
+    }
+
+    parseName() {
+        const start = this.pos;
+        const name = this.readIdentifier();
+        const lower = name.toLowerCase();
+
+        if (this.peek() === '(') {
+            const args = this.parseArgs();
+            const numbers = args.every(arg => typeof arg === 'number');
+            switch (lower) {
+                case 'point':
+                    if (args.length === 2 && numbers) return new LingoPoint(args[0], args[1]);
+                    break;
+                case 'rect':
+                    if (args.length === 4 && numbers) return new LingoRect(...args);
+                    if (args.length === 2 && args.every(arg => arg instanceof LingoPoint)) {
+                        return new LingoRect(args[0].x, args[0].y, args[1].x, args[1].y);
+                    }
+                    break;
+                case 'rgb':
+                case 'color':
+                    return this.makeColor(lower, args);
+                case 'paletteindex':
+                    if (args.length === 1 && numbers) return new LingoColor(0, 0, 0, args[0]);
+                    break;
+            }
+            this.pos = start;
+            this.error(`Unsupported ${name}() arguments`);
+        }
+
+        if (lower in STRING_CONSTANTS) return this.parseStringExpr(STRING_CONSTANTS[lower]);
+        if (lower in VALUE_CONSTANTS) return VALUE_CONSTANTS[lower];
+        this.pos = start;
+        this.error(`Unknown name "${name}"`);
+    }
+
+    makeColor(kind, args) {
+        // rgb(r, g, b), rgb("#RRGGBB"), color(#rgb, r, g, b) or color(#paletteIndex, n)
+        if (kind === 'color' && args[0] instanceof LingoSymbol) {
+            const type = args[0].name;
+            args = args.slice(1);
+            if (type.toLowerCase() === 'paletteindex' && args.length === 1) return new LingoColor(0, 0, 0, args[0]);
+            if (type.toLowerCase() !== 'rgb') this.error(`Unknown colour type #${type}`);
+        }
+        if (args.length === 1 && typeof args[0] === 'string' && /^#?[0-9a-f]{6}$/i.test(args[0])) {
+            const hex = parseInt(args[0].replace('#', ''), 16);
+            return new LingoColor((hex >> 16) & 0xFF, (hex >> 8) & 0xFF, hex & 0xFF);
+        }
+        if (args.length === 3 && args.every(arg => typeof arg === 'number')) {
+            return new LingoColor(args[0], args[1], args[2]);
+        }
+        this.error('Unsupported colour');
+    }
+
+    parseArgs() {
+        this.expect('(');
+        const args = [];
+        if (this.peek() !== ')') {
+            args.push(this.parseValue());
+            while (this.peek() === ',') {
+                this.pos++;
+                args.push(this.parseValue());
+            }
+        }
+        this.expect(')');
+        return args;
+    }
+
+    parseList() {
+        this.expect('[');
+        if (this.peek() === ':') {
+            this.pos++;
+            this.expect(']');
+            return new LingoPropList();
+        }
+        if (this.peek() === ']') {
+            this.pos++;
+            return [];
+        }
+
+        const first = this.parseValue();
+        if (this.peek() !== ':') {
+            const list = [first];
+            while (this.peek() === ',') {
+                this.pos++;
+                list.push(this.parseValue());
+            }
+            this.expect(']');
+            return list;
+        }
+
+        const propList = new LingoPropList();
+        let key = first;
+        for (;;) {
+            this.expect(':');
+            propList.entries.push([key, this.parseValue()]);
+            if (this.peek() !== ',') break;
+            this.pos++;
+            key = this.parseValue();
+        }
+        this.expect(']');
+        return propList;
+    }
+}
+
+/**
+ * Parse a Lingo literal. Throws an Error naming the position if the text
+ * is not a single valid value.
+ */
+export function parseLingoLiteral(text) {
+    return new LiteralParser(text).parseDocument();
+}
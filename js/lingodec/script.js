@@ -250,8 +250,13 @@ export class Script {
         }
     }
 
-    scriptText(lineEnding = '\n', dotSyntax = false) {
+    /**
+     * frameLabels: optional map of lowercase label -> frame number. Label
+     * literals found in go/play/label calls are annotated with their frame.
+     */
+    scriptText(lineEnding = '\n', dotSyntax = false, frameLabels = null) {
         const code = new CodeWriter(lineEnding);
+        code.frameLabels = frameLabels;
         this.writeScriptText(code, dotSyntax);
         return code.str();
     }
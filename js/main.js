@@ -4,18 +4,46 @@
  * file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
-import { DirectorFile } from './director/dirfile.js';
+import { DirectorFile, compressionName, isRIFXContainer } from './director/dirfile.js';
+import { ProjectorFile } from './director/projector.js';
+import { MacFileWrapper } from './director/macfile.js';
 import { MemberType } from './director/chunk.js';
-import { FOURCC } from './lingodec/enums.js';
+import { parseMpegFrameHeader } from './director/sound.js';
+import { inkName } from './director/score.js';
+import { xtraMemberType } from './director/xtras.js';
+import { styledTextToRtf, decodeText } from './director/text.js';
+import { parseLingoLiteral } from './lingodec/literal.js';
+import { parseXmed } from './director/xmed.js';
+import { FOURCC, fourCCToString, Endianness } from './lingodec/enums.js';
+import { BufferView, toUint8Array } from './stream.js';
+import { resolveBitmapPalette } from './render/palette.js';
+import { parseBitmapMemberData, decodeBITD } from './render/bitmap.js';
+import { StageRenderer } from './render/stage.js';
+import { loadFilmLoop } from './render/filmloop.js';
+import { loadRichText } from './render/richtext.js';
+import { GifEncoder } from './render/gif.js';
+import { createZip } from './zip.js';
 
 // Global state
 let currentFile = null;
 let currentFileBuffer = null;
 let currentDirFile = null;
+let currentProjector = null;
 let scripts = [];
 let assets = [];
 let selectedScript = null;
 let selectedAsset = null;
+let infoSections = [];
+let selectedInfo = null;
+let chunkEntries = [];
+let selectedChunk = null;
+let currentChunkView = 'hex';
+let scoreSpans = [];
+let stageRenderer = null;
+let renderedFrame = 0;
+let filmLoopPlayback = null;
+let styledTextExport = null;
+let richTextBitmap = null;
 let currentTab = 'scripts';
 let currentCodeView = 'lingo';
 
@@ -24,13 +52,26 @@ const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
 const fileInfo = document.getElementById('file-info');
 const fileName = document.getElementById('file-name');
+const macFileInfo = document.getElementById('mac-file-info');
 const downloadBtn = document.getElementById('download-btn');
+const downloadDirBtn = document.getElementById('download-dir-btn');
 const clearBtn = document.getElementById('clear-btn');
 const loadingSection = document.getElementById('loading-section');
 const errorSection = document.getElementById('error-section');
 const errorMessage = document.getElementById('error-message');
 const errorDismiss = document.getElementById('error-dismiss');
 const contentSection = document.getElementById('content-section');
+const projectorSection = document.getElementById('projector-section');
+const projectorSummary = document.getElementById('projector-summary');
+const projectorList = document.getElementById('projector-list');
+const verifyCheckbox = document.getElementById('verify-roundtrip');
+const recoveryCheckbox = document.getElementById('recovery-mode');
+const diagnosticsSection = document.getElementById('diagnostics-section');
+const diagnosticsSummary = document.getElementById('diagnostics-summary');
+const diagnosticsBody = document.getElementById('diagnostics-table').querySelector('tbody');
+const verifySection = document.getElementById('verify-section');
+const verifySummary = document.getElementById('verify-summary');
+const verifyList = document.getElementById('verify-list');
 const scriptList = document.getElementById('script-list');
 const assetList = document.getElementById('asset-list');
 const codeDisplay = document.getElementById('code-display').querySelector('code');
@@ -45,10 +86,50 @@ const codePanel = document.getElementById('code-panel');
 const assetPanel = document.getElementById('asset-panel');
 const currentAssetName = document.getElementById('current-asset-name');
 const downloadAssetBtn = document.getElementById('download-asset-btn');
+const exportGifBtn = document.getElementById('export-gif-btn');
+const exportPngBtn = document.getElementById('export-png-btn');
+const exportHtmlBtn = document.getElementById('export-html-btn');
+const exportRtfBtn = document.getElementById('export-rtf-btn');
+const exportBitmapBtn = document.getElementById('export-bitmap-btn');
+const viewJsonBtn = document.getElementById('view-json-btn');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const filmLoopControls = document.getElementById('filmloop-controls');
+const filmLoopPlayBtn = document.getElementById('filmloop-play-btn');
+const filmLoopFrame = document.getElementById('filmloop-frame');
+const assetPreview = document.getElementById('asset-preview');
 const assetInfo = document.getElementById('asset-info');
 const assetCanvas = document.getElementById('asset-canvas');
 const assetText = document.getElementById('asset-text');
+const assetJson = document.getElementById('asset-json');
 const assetBinary = document.getElementById('asset-binary');
+const infoList = document.getElementById('info-list');
+const infoPanel = document.getElementById('info-panel');
+const currentInfoName = document.getElementById('current-info-name');
+const infoContent = document.getElementById('info-content');
+const chunkSearch = document.getElementById('chunk-search');
+const chunkCount = document.getElementById('chunk-count');
+const chunkList = document.getElementById('chunk-list');
+const chunkPanel = document.getElementById('chunk-panel');
+const currentChunkName = document.getElementById('current-chunk-name');
+const chunkViewButtons = document.querySelectorAll('.chunk-view-btn');
+const downloadChunkBtn = document.getElementById('download-chunk-btn');
+const chunkInfo = document.getElementById('chunk-info');
+const chunkView = document.getElementById('chunk-view');
+const scoreSummary = document.getElementById('score-summary');
+const markerList = document.getElementById('marker-list');
+const scorePanel = document.getElementById('score-panel');
+const currentScoreName = document.getElementById('current-score-name');
+const scoreGrid = document.getElementById('score-grid');
+const stageFrameInput = document.getElementById('stage-frame');
+const renderFrameBtn = document.getElementById('render-frame-btn');
+const downloadFrameBtn = document.getElementById('download-frame-btn');
+const exportStartInput = document.getElementById('export-start');
+const exportEndInput = document.getElementById('export-end');
+const exportRangeGifBtn = document.getElementById('export-range-gif-btn');
+const exportRangePngBtn = document.getElementById('export-range-png-btn');
+const stageView = document.getElementById('stage-view');
+const stageInfo = document.getElementById('stage-info');
+const stageCanvas = document.getElementById('stage-canvas');
 
 // Member type names
 const MemberTypeNames = {
@@ -64,7 +145,10 @@ const MemberTypeNames = {
     [MemberType.kMovieMember]: 'Movie',
     [MemberType.kDigitalVideoMember]: 'Digital Video',
     [MemberType.kScriptMember]: 'Script',
-    [MemberType.kRTEMember]: 'Rich Text'
+    [MemberType.kRTEMember]: 'Rich Text',
+    [MemberType.kOLEMember]: 'OLE',
+    [MemberType.kTransitionMember]: 'Transition',
+    [MemberType.kXtraMember]: 'Xtra'
 };
 
 // Initialize
@@ -79,10 +163,20 @@ function init() {
 
     // Button events
     downloadBtn.addEventListener('click', downloadFile);
+    downloadDirBtn.addEventListener('click', downloadDecompiledFile);
     clearBtn.addEventListener('click', clearFile);
     errorDismiss.addEventListener('click', dismissError);
     copyBtn.addEventListener('click', copyCode);
     downloadAssetBtn.addEventListener('click', downloadAsset);
+    exportGifBtn.addEventListener('click', exportFilmLoopGif);
+    exportPngBtn.addEventListener('click', exportFilmLoopPngs);
+    exportHtmlBtn.addEventListener('click', exportStyledTextHtml);
+    exportRtfBtn.addEventListener('click', exportStyledTextRtf);
+    exportBitmapBtn.addEventListener('click', exportRichTextBitmap);
+    viewJsonBtn.addEventListener('click', toggleJsonView);
+    exportJsonBtn.addEventListener('click', exportTextJson);
+    filmLoopPlayBtn.addEventListener('click', toggleFilmLoopPlayback);
+    downloadChunkBtn.addEventListener('click', downloadChunk);
 
     // Dot syntax toggle
     dotSyntaxCheckbox.addEventListener('change', refreshCodeDisplay);
@@ -97,6 +191,17 @@ function init() {
         btn.addEventListener('click', () => switchCodeView(btn.dataset.view));
     });
 
+    // Chunk view switching (Hex/Structured)
+    chunkViewButtons.forEach(btn => {
+        btn.addEventListener('click', () => switchChunkView(btn.dataset.view));
+    });
+    chunkSearch.addEventListener('input', populateChunkList);
+    scoreGrid.addEventListener('click', handleScoreClick);
+    renderFrameBtn.addEventListener('click', () => renderStageFrame(parseInt(stageFrameInput.value, 10)));
+    downloadFrameBtn.addEventListener('click', downloadStageFrame);
+    exportRangeGifBtn.addEventListener('click', () => exportScoreRange('gif'));
+    exportRangePngBtn.addEventListener('click', () => exportScoreRange('png'));
+
     // Asset filter controls
     const assetSearch = document.getElementById('asset-search');
     if (assetSearch) {
@@ -147,12 +252,15 @@ function switchTab(tab) {
     });
 
     // Update right panel
-    if (tab === 'scripts') {
-        codePanel.classList.remove('hidden');
-        assetPanel.classList.add('hidden');
-    } else {
-        codePanel.classList.add('hidden');
-        assetPanel.classList.remove('hidden');
+    const tabPanels = {
+        scripts: codePanel,
+        assets: assetPanel,
+        info: infoPanel,
+        chunks: chunkPanel,
+        score: scorePanel
+    };
+    for (const [name, panel] of Object.entries(tabPanels)) {
+        panel.classList.toggle('hidden', name !== tab);
     }
 }
 
@@ -191,29 +299,73 @@ function handleDrop(e) {
 
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-        processFile(files[0]);
+        hideProjector();
+        processFiles(files);
     }
 }
 
 function handleFileSelect(e) {
     const files = e.target.files;
     if (files.length > 0) {
-        processFile(files[0]);
+        hideProjector();
+        processFiles(files);
     }
 }
 
-async function processFile(file) {
+/**
+ * Load the first selected file, pairing it with its AppleDouble `._` companion
+ * if that was selected too
+ */
+function processFiles(fileList) {
+    const files = Array.from(fileList);
+    const file = files.find(f => !f.name.startsWith('._')) || files[0];
+    const companion = files.find(f => f !== file && f.name === '._' + file.name) || null;
+    processFile(file, companion);
+}
+
+async function processFile(file, companion = null) {
     showLoading();
     hideError();
     hideContent();
+    hideVerifyResults();
+    hideDiagnostics();
 
     try {
-        currentFileBuffer = await file.arrayBuffer();
+        const buffer = await file.arrayBuffer();
+
+        // Look through MacBinary/AppleSingle wrappers when deciding what the file is
+        const macFile = new MacFileWrapper();
+        const wrapped = macFile.read(buffer);
+        if (wrapped && !macFile.dataFork && !macFile.resourceFork) {
+            throw new Error(`${file.name} is an ${macFile.format} file with no data or resource fork. ` +
+                'Open the data file along with it instead.');
+        }
+        const dataFork = wrapped ? macFile.dataFork : buffer;
+
+        // Projectors wrap their movies; list them instead of parsing the executable
+        if (dataFork && !isRIFXContainer(dataFork)) {
+            const projector = new ProjectorFile();
+            if (projector.read(dataFork)) {
+                showProjector(projector, file.name);
+                return;
+            }
+        }
+
+        currentFileBuffer = buffer;
         currentFile = file;
 
         // Parse the Director file
         currentDirFile = new DirectorFile();
-        currentDirFile.read(currentFileBuffer);
+        currentDirFile.verifyRoundTrip = verifyCheckbox.checked;
+        currentDirFile.recoveryMode = recoveryCheckbox.checked;
+        if (companion) {
+            currentDirFile.macFile = await readAppleDouble(companion);
+        }
+        if (!currentDirFile.read(currentFileBuffer)) {
+            showDiagnostics(currentDirFile);
+            const hint = currentDirFile.recoveryMode ? '' : ' Turn on recovery mode to load whatever is still readable.';
+            throw new Error(`Could not read ${file.name}. See the load problems below.${hint}`);
+        }
 
         // Parse all scripts (decompile bytecode to AST)
         currentDirFile.parseScripts();
@@ -223,11 +375,18 @@ async function processFile(file) {
         assets = [];
         extractScripts(currentDirFile);
         extractAssets(currentDirFile);
+        buildInfoSections(currentDirFile);
+        buildChunkEntries(currentDirFile);
 
         // Show the UI
         showFileInfo(file.name);
+        showVerifyResults(currentDirFile);
+        showDiagnostics(currentDirFile);
         populateScriptList();
         populateAssetList();
+        populateInfoList();
+        populateChunkList();
+        populateScore(currentDirFile);
         showContent();
 
         if (scripts.length > 0) {
@@ -241,6 +400,60 @@ async function processFile(file) {
     }
 }
 
+// The companion carries the resource fork, which is the whole movie for Director 2/3
+async function readAppleDouble(companion) {
+    const sidecar = new MacFileWrapper();
+    if (!sidecar.read(await companion.arrayBuffer())) {
+        console.warn(companion.name + ' is not an AppleDouble file');
+        return null;
+    }
+    return sidecar;
+}
+
+function showProjector(projector, name) {
+    currentProjector = projector;
+    projectorList.innerHTML = '';
+
+    const header = projector.version ? `${projector.version} header` : 'no projector header';
+    projectorSummary.textContent = `${name}: ${projector.platform} projector, ${header}`;
+
+    projector.entries.forEach((entry, index) => {
+        const li = document.createElement('li');
+        const endian = entry.endianness === Endianness.kLittleEndian ? 'XFIR' : 'RIFX';
+        const details = `${escapeHtml(entry.name)} (${fourCCToString(entry.codec)}, ${endian}) - ` +
+            `${entry.length.toLocaleString()} bytes at 0x${entry.offset.toString(16)}`;
+
+        if (entry.kind === 'application') {
+            li.innerHTML = `<span>${details}</span>`;
+        } else {
+            li.innerHTML = `<button type="button">Open</button><span>${details}</span>`;
+            li.querySelector('button').addEventListener('click', () => openProjectorEntry(index, name));
+        }
+        projectorList.appendChild(li);
+    });
+
+    projectorSection.classList.remove('hidden');
+}
+
+function openProjectorEntry(index, projectorName) {
+    const entry = currentProjector.entries[index];
+    const items = projectorList.querySelectorAll('li');
+    items.forEach((item, i) => {
+        item.classList.toggle('selected', i === index);
+    });
+
+    const ext = entry.kind === 'cast' ? (entry.isAfterburned() ? '.cct' : '.cst') : (entry.isAfterburned() ? '.dcr' : '.dir');
+    const baseName = projectorName.replace(/\.[^.]*$/, '');
+    const entryFile = new File([currentProjector.extractEntry(index)], `${baseName} - ${entry.name}${ext}`);
+    processFile(entryFile);
+}
+
+function hideProjector() {
+    currentProjector = null;
+    projectorSection.classList.add('hidden');
+    projectorList.innerHTML = '';
+}
+
 function extractScripts(dirFile) {
     // Get all script chunks from the file
     for (const scriptChunk of dirFile.scriptChunks) {
@@ -328,38 +541,24 @@ function findAssetDataChunk(dirFile, cast, memberId, memberType, member) {
         [MemberType.kTextMember]: FOURCC('S', 'T', 'X', 'T'),
         [MemberType.kPaletteMember]: FOURCC('C', 'L', 'U', 'T'),
         [MemberType.kShapeMember]: FOURCC('S', 'H', 'A', 'P'),
+        // Rich Text members also have RTE1 and RTE2, found by loadRichText()
+        [MemberType.kRTEMember]: FOURCC('R', 'T', 'E', '0'),
+        // Text Xtra members; other Xtras have no XMED
+        [MemberType.kXtraMember]: FOURCC('X', 'M', 'E', 'D'),
     };
 
     const targetFourCC = dataChunkMap[memberType];
     if (!targetFourCC) return null;
 
-    // Get different IDs to try
-    const slotID = memberId;  // Slot index in cast (member.id = i + minMember)
-    const castSectionID = member?.castSectionID;  // CASt chunk's section ID
-    const castLibID = member?.castLibID;  // Cast library ID (1024)
-
-    // Try matching by slot ID first (most common for member data)
-    for (const entry of keyTable.entries) {
-        if (entry.castID === slotID && entry.fourCC === targetFourCC) {
-            console.log('findAssetDataChunk: found by slotID', slotID, '-> sectionID', entry.sectionID);
-            return entry.sectionID;
-        }
-    }
-
-    // Try matching by CASt chunk section ID
-    if (castSectionID) {
-        for (const entry of keyTable.entries) {
-            if (entry.castID === castSectionID && entry.fourCC === targetFourCC) {
-                console.log('findAssetDataChunk: found by castSectionID', castSectionID, '-> sectionID', entry.sectionID);
-                return entry.sectionID;
-            }
-        }
+    const sectionID = dirFile.findMemberDataChunk(memberId, member, targetFourCC);
+    if (sectionID !== null) {
+        return sectionID;
     }
 
     // Debug: show what we're looking for
     if (memberType === MemberType.kBitmapMember) {
         console.log('findAssetDataChunk: no BITD entry found for member', memberId);
-        console.log('  slotID:', slotID, 'castSectionID:', castSectionID, 'castLibID:', castLibID);
+        console.log('  slotID:', memberId, 'castSectionID:', member?.castSectionID, 'castLibID:', member?.castLibID);
         const bitdEntries = keyTable.entries.filter(e => e.fourCC === targetFourCC).slice(0, 5);
         console.log('  sample BITD entries:', bitdEntries.map(e => ({ castID: e.castID, sectionID: e.sectionID })));
     }
@@ -417,6 +616,679 @@ function populateScriptList() {
     }
 }
 
+// File-level tables shown in the Info tab
+function buildInfoSections(dirFile) {
+    infoSections = [];
+
+    if (dirFile.config) {
+        infoSections.push({ name: 'Movie Properties', render: () => renderMovieProperties(dirFile) });
+    }
+
+    if (!dirFile.fontMap.isEmpty()) {
+        infoSections.push({ name: 'Font Map', render: () => renderFontMap(dirFile.fontMap) });
+    }
+    if (dirFile.xtraList || findXtraMembers(dirFile).length > 0) {
+        infoSections.push({ name: 'Xtras', render: () => renderXtras(dirFile) });
+    }
+    if (dirFile.frameLabels && dirFile.frameLabels.labels.length > 0) {
+        infoSections.push({ name: 'Markers', render: () => renderFrameLabels(dirFile.frameLabels) });
+    }
+}
+
+function populateInfoList() {
+    infoList.innerHTML = '';
+
+    for (let i = 0; i < infoSections.length; i++) {
+        const li = document.createElement('li');
+        li.textContent = infoSections[i].name;
+        li.addEventListener('click', () => selectInfo(i));
+        infoList.appendChild(li);
+    }
+}
+
+function selectInfo(index) {
+    if (index < 0 || index >= infoSections.length) return;
+
+    const items = infoList.querySelectorAll('li');
+    items.forEach((item, i) => {
+        item.classList.toggle('selected', i === index);
+    });
+
+    selectedInfo = infoSections[index];
+    currentInfoName.textContent = selectedInfo.name;
+    infoContent.innerHTML = selectedInfo.render();
+}
+
+function renderFontMap(fontMap) {
+    let html = '';
+
+    if (fontMap.usesDefaultFontMap) {
+        html += `<p>The movie uses the default font map of the Director version that saved it. ` +
+            `That map is not stored in the file, so its platform substitutions are not shown, ` +
+            `and the font map is left out of downloaded DIR/CST files.</p>`;
+    }
+
+    if (fontMap.fonts.size > 0) {
+        html += `<table class="info-table"><caption>Fonts</caption>
+            <tr><th>ID</th><th>Name</th><th>Platform</th><th>Mac</th><th>Windows</th></tr>`;
+        const fonts = Array.from(fontMap.fonts.values()).sort((a, b) => a.id - b.id);
+        for (const font of fonts) {
+            html += `<tr>
+                <td>${font.id}</td>
+                <td>${escapeHtml(font.name)}</td>
+                <td>${escapeHtml(font.platform)}</td>
+                <td>${escapeHtml(fontMap.resolveFont(font.id, 'Mac'))}</td>
+                <td>${escapeHtml(fontMap.resolveFont(font.id, 'Win'))}</td>
+            </tr>`;
+        }
+        html += '</table>';
+    }
+
+    if (fontMap.substitutions.length > 0) {
+        html += `<table class="info-table"><caption>Platform Substitutions</caption>
+            <tr><th>From</th><th>To</th><th>Characters</th><th>Sizes</th></tr>`;
+        for (const sub of fontMap.substitutions) {
+            const sizes = Array.from(sub.sizeMap, ([from, to]) => `${from}&rarr;${to}`).join(' ');
+            html += `<tr>
+                <td>${escapeHtml(sub.fromPlatform)}: ${escapeHtml(sub.fromFont)}</td>
+                <td>${escapeHtml(sub.toPlatform)}: ${escapeHtml(sub.toFont)}</td>
+                <td>${sub.remapChars ? 'Mapped' : 'Not mapped'}</td>
+                <td>${sizes}</td>
+            </tr>`;
+        }
+        html += '</table>';
+    }
+
+    return html;
+}
+
+const CODEC_NAMES = {
+    MV93: 'Director movie',
+    MC95: 'Director cast',
+    FGDM: 'Shockwave movie (Afterburner)',
+    FGDC: 'Shockwave cast (Afterburner)'
+};
+
+const PLATFORM_NAMES = {
+    1: 'Macintosh',
+    2: 'Windows'
+};
+
+// 404 -> 4.0.4, 850 -> 8.5, 1100 -> 11
+function formatDirectorVersion(version) {
+    const parts = [Math.floor(version / 100), Math.floor(version / 10) % 10, version % 10];
+    if (parts[2] === 0) parts.pop();
+    if (parts.length === 2 && parts[1] === 0) parts.pop();
+    return parts.join('.');
+}
+
+function renderMovieProperties(dirFile) {
+    const config = dirFile.config;
+    const rows = [];
+    const row = (name, value) => rows.push(`<tr><th>${name}</th><td>${value}</td></tr>`);
+
+    row('Director version', `${formatDirectorVersion(dirFile.version)} (internal ${config.directorVersion})`);
+    if (dirFile.fverVersionString) {
+        row('Saved by', escapeHtml(dirFile.fverVersionString));
+    }
+    row('File version', config.fileVersion === config.directorVersion
+        ? String(config.fileVersion)
+        : `${config.fileVersion} (differs from Director version)`);
+
+    if (dirFile.resourceFork) {
+        row('Container', 'Mac resource fork');
+    } else {
+        const codec = fourCCToString(dirFile.codec);
+        row('Codec', `${escapeHtml(codec)} - ${CODEC_NAMES[codec] || 'Unknown'}`);
+        row('Byte order', dirFile.endianness === Endianness.kLittleEndian
+            ? 'Little-endian (XFIR, Windows)'
+            : 'Big-endian (RIFX, Macintosh)');
+    }
+
+    row('Protected', config.protection % 23 === 0
+        ? `Yes (${config.protection})`
+        : `No (${config.protection})`);
+    row('Platform', PLATFORM_NAMES[config.platform] || `Unknown (${config.platform})`);
+
+    const stage = getStageRenderer().stageRect;
+    row('Stage', `${stage.width} x ${stage.height} ` +
+        `(left ${config.movieLeft}, top ${config.movieTop}, right ${config.movieRight}, bottom ${config.movieBottom})`);
+
+    const [r, g, b] = getStageRenderer().stageColor;
+    const hex = '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+    let colorSource;
+    if (dirFile.version >= 700) {
+        colorSource = config.D7stageColorIsRGB ? 'RGB' : `palette index ${config.D7stageColorB}`;
+    } else {
+        colorSource = `palette index ${config.preD7stageColor}`;
+    }
+    row('Stage colour', `<span class="color-swatch" style="background: ${hex}"></span> ${hex} (${colorSource})`);
+
+    row('Bit depth', `${config.bitDepth}-bit`);
+    row('Tempo', `${config.frameRate} fps`);
+    row('Cast members', `${config.minMember} to ${config.maxMember}`);
+    const formatChecksum = checksum => '0x' + checksum.toString(16).toUpperCase().padStart(8, '0');
+    row('Checksum', config.verifyChecksum()
+        ? `${formatChecksum(config.checksum)} (valid)`
+        : `${formatChecksum(config.checksum)} (does not match; expected ${formatChecksum(config.computeChecksum())})`);
+
+    let html = `<table class="info-table"><caption>Movie</caption>${rows.join('')}</table>`;
+
+    if (dirFile.compressionTypes.length > 0) {
+        html += `<table class="info-table"><caption>Compression Types (Fcdr)</caption>
+            <tr><th>Type</th><th>Description</th><th>ID</th></tr>`;
+        for (const type of dirFile.compressionTypes) {
+            html += `<tr>
+                <td>${escapeHtml(compressionName(type.id))}</td>
+                <td>${escapeHtml(type.description)}</td>
+                <td>${escapeHtml(type.id.toString())}</td>
+            </tr>`;
+        }
+        html += '</table>';
+    }
+
+    return html;
+}
+
+function findXtraMembers(dirFile) {
+    const members = [];
+    for (const cast of dirFile.casts) {
+        for (const member of cast.members.values()) {
+            if (member.type === MemberType.kXtraMember) {
+                members.push({ cast, member, xtraType: xtraMemberType(member) });
+            }
+        }
+    }
+    return members;
+}
+
+function renderXtras(dirFile) {
+    let html = '';
+    const xtraList = dirFile.xtraList;
+
+    if (xtraList) {
+        html += `<table class="info-table"><caption>Required Xtras (XTRl)</caption>
+            <tr><th>Name</th><th>GUID</th><th>Flags</th><th>Download</th></tr>`;
+        for (const entry of xtraList.entries) {
+            const names = [entry.name, ...entry.fileNames].map(escapeHtml).join('<br>');
+            const urls = entry.urls.map(escapeHtml).join('<br>') || 'None';
+            html += `<tr>
+                <td>${names}</td>
+                <td>${escapeHtml(entry.guid)}</td>
+                <td>0x${entry.flags.toString(16)}</td>
+                <td>${urls}</td>
+            </tr>`;
+        }
+        html += '</table>';
+    } else {
+        html += '<p>This file has no Xtra list (XTRl).</p>';
+    }
+
+    // Xtra members whose Xtra isn't listed won't load in a projector or Shockwave
+    const xtraMembers = findXtraMembers(dirFile);
+    if (xtraMembers.length > 0) {
+        html += `<table class="info-table"><caption>Xtra Cast Members</caption>
+            <tr><th>Member</th><th>Cast</th><th>Xtra Type</th><th>In XTRl</th></tr>`;
+        for (const { cast, member, xtraType } of xtraMembers) {
+            const entry = xtraList && xtraType ? xtraList.findEntry(xtraType) : null;
+            const listed = entry ? escapeHtml(entry.name) : '<strong>Not listed</strong>';
+            html += `<tr>
+                <td>${member.id}${member.getName() ? ' - ' + escapeHtml(member.getName()) : ''}</td>
+                <td>${escapeHtml(cast.name)}</td>
+                <td>${escapeHtml(xtraType || 'Unknown')}</td>
+                <td>${listed}</td>
+            </tr>`;
+        }
+        html += '</table>';
+    }
+
+    return html;
+}
+
+function renderFrameLabels(frameLabels) {
+    let html = `<table class="info-table"><caption>Frame Labels</caption>
+        <tr><th>Frame</th><th>Label</th><th>Comment</th></tr>`;
+    for (const label of frameLabels.labels) {
+        html += `<tr>
+            <td>${label.frame}</td>
+            <td>${escapeHtml(label.label)}</td>
+            <td>${escapeHtml(label.comment)}</td>
+        </tr>`;
+    }
+    html += '</table>';
+    return html;
+}
+
+// Every chunk in the file, for the Chunks tab
+function buildChunkEntries(dirFile) {
+    selectedChunk = null;
+    chunkInfo.innerHTML = '';
+    chunkView.innerHTML = '';
+    currentChunkName.textContent = 'Select a chunk';
+    downloadChunkBtn.classList.add('hidden');
+
+    chunkEntries = Array.from(dirFile.chunkInfo.values())
+        .sort((a, b) => a.id - b.id)
+        .map(info => ({
+            info,
+            fourCC: fourCCToString(info.fourCC),
+            inILS: dirFile.ilsChunkIDs.has(info.id),
+            hasParser: dirFile.hasChunkParser(info.fourCC)
+        }));
+}
+
+function populateChunkList() {
+    chunkList.innerHTML = '';
+
+    const filter = chunkSearch.value.trim().toLowerCase();
+    let shown = 0;
+    for (const entry of chunkEntries) {
+        if (filter && !entry.fourCC.toLowerCase().includes(filter) && String(entry.info.id) !== filter) {
+            continue;
+        }
+        shown++;
+
+        const li = document.createElement('li');
+        li.classList.toggle('selected', entry === selectedChunk);
+        li.innerHTML = `
+            <span class="chunk-name">#${entry.info.id} '${escapeHtml(entry.fourCC)}'</span>
+            <span class="chunk-details">${entry.info.uncompressedLen.toLocaleString()} bytes${entry.inILS ? ' - ILS' : ''}</span>
+        `;
+        li.addEventListener('click', () => selectChunk(entry, li));
+        chunkList.appendChild(li);
+    }
+    chunkCount.textContent = `${shown} of ${chunkEntries.length} chunks`;
+}
+
+function selectChunk(entry, li) {
+    chunkList.querySelectorAll('li').forEach(item => item.classList.remove('selected'));
+    li.classList.add('selected');
+
+    selectedChunk = entry;
+    currentChunkName.textContent = `'${entry.fourCC}' #${entry.info.id}`;
+    downloadChunkBtn.classList.remove('hidden');
+
+    const info = entry.info;
+    chunkInfo.innerHTML = `<table class="info-table">
+        <tr><th>ID</th><td>${info.id}</td></tr>
+        <tr><th>FourCC</th><td>${escapeHtml(entry.fourCC)}</td></tr>
+        <tr><th>Offset</th><td>0x${info.offset.toString(16)} (${info.offset})</td></tr>
+        <tr><th>Length</th><td>${info.len.toLocaleString()} bytes</td></tr>
+        <tr><th>Uncompressed Length</th><td>${info.uncompressedLen.toLocaleString()} bytes</td></tr>
+        <tr><th>Compression</th><td>${escapeHtml(compressionName(info.compressionID))}</td></tr>
+        <tr><th>In ILS</th><td>${entry.inILS ? 'Yes' : 'No'}</td></tr>
+        <tr><th>Parser</th><td>${entry.hasParser ? 'Yes' : 'No (raw only)'}</td></tr>
+    </table>`;
+
+    refreshChunkView();
+}
+
+function switchChunkView(view) {
+    currentChunkView = view;
+    chunkViewButtons.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    refreshChunkView();
+}
+
+function refreshChunkView() {
+    if (!selectedChunk) {
+        chunkView.innerHTML = '';
+        return;
+    }
+
+    const { info, hasParser } = selectedChunk;
+    try {
+        if (!currentDirFile.isChunkDecoded(info.id)) {
+            // Shockwave Audio has no uncompressed form until it is decoded for writing
+            const bytes = toUint8Array(currentDirFile.getCompressedSoundData(info.id));
+            chunkView.innerHTML = hexDumpHtml(bytes, 16384);
+        } else if (currentChunkView === 'structured') {
+            if (!hasParser) {
+                chunkView.innerHTML = `<p>No parser for '${escapeHtml(selectedChunk.fourCC)}' chunks yet. Use the hex view.</p>`;
+                return;
+            }
+            const chunk = currentDirFile.inspectChunk(info.fourCC, info.id);
+            chunkView.innerHTML = `<pre>${escapeHtml(chunkToJSON(chunk))}</pre>`;
+        } else {
+            const bytes = toUint8Array(currentDirFile.getChunkData(info.fourCC, info.id));
+            chunkView.innerHTML = hexDumpHtml(bytes, 16384);
+        }
+    } catch (e) {
+        console.error('Error reading chunk:', e);
+        chunkView.innerHTML = `<p><strong>Error:</strong> ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+// Serialize a parsed chunk for display, leaving out back-references and raw buffers
+function chunkToJSON(chunk) {
+    const seen = new WeakSet();
+    return JSON.stringify(chunk, (key, value) => {
+        if (key === 'dir') return undefined;
+        if (value instanceof BufferView || value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            return `<${value.byteLength} bytes>`;
+        }
+        if (value instanceof Map) {
+            return Object.fromEntries(value);
+        }
+        if (value instanceof Set) {
+            return Array.from(value);
+        }
+        if (typeof value === 'object' && value !== null) {
+            if (seen.has(value)) return '<see above>';
+            seen.add(value);
+        }
+        return value;
+    }, 2);
+}
+
+function downloadChunk() {
+    if (!selectedChunk || !currentDirFile) return;
+
+    const { info, fourCC } = selectedChunk;
+    try {
+        const bytes = toUint8Array(currentDirFile.isChunkDecoded(info.id)
+            ? currentDirFile.getChunkData(info.fourCC, info.id)
+            : currentDirFile.getCompressedSoundData(info.id));
+        const safeFourCC = fourCC.replace(/[^A-Za-z0-9]/g, '_');
+        downloadData(bytes, `${safeFourCC}-${info.id}.bin`, 'application/octet-stream');
+    } catch (e) {
+        console.error('Error downloading chunk:', e);
+        showError('Could not read chunk: ' + e.message);
+    }
+}
+
+// Score timeline, laid out like Director's Score window
+const SCORE_CELL_WIDTH = 12;
+const SCORE_LABEL_WIDTH = 70;
+const SCORE_MAIN_CHANNELS = [
+    ['tempo', 'Tempo'],
+    ['palette', 'Palette'],
+    ['transition', 'Transition'],
+    ['sound1', 'Sound 1'],
+    ['sound2', 'Sound 2'],
+    ['script', 'Script']
+];
+
+function populateScore(dirFile) {
+    scoreSpans = [];
+    markerList.innerHTML = '';
+    hideStageFrame();
+    const score = dirFile.score;
+    const labels = dirFile.frameLabels ? dirFile.frameLabels.labels : [];
+
+    if (!score) {
+        scoreSummary.textContent = 'This file has no score.';
+        currentScoreName.textContent = 'Score';
+        scoreGrid.innerHTML = '';
+        renderFrameBtn.disabled = true;
+        exportRangeGifBtn.disabled = true;
+        exportRangePngBtn.disabled = true;
+        return;
+    }
+
+    stageRenderer = new StageRenderer(dirFile);
+    renderFrameBtn.disabled = false;
+    exportRangeGifBtn.disabled = false;
+    exportRangePngBtn.disabled = false;
+    stageFrameInput.max = score.frameCount;
+    stageFrameInput.value = 1;
+    exportStartInput.max = score.frameCount;
+    exportStartInput.value = 1;
+    exportEndInput.max = score.frameCount;
+    exportEndInput.value = score.frameCount;
+
+    const channelCount = score.spans.reduce((max, span) => Math.max(max, span.channel), 0);
+    scoreSummary.textContent = `${score.frameCount} frames, ${channelCount} sprite channels used, ` +
+        `${score.spans.length} sprite spans, ${labels.length} markers`;
+    currentScoreName.textContent = `Score (${score.frameCount} frames)`;
+
+    for (const label of labels) {
+        const li = document.createElement('li');
+        li.innerHTML = `
+            <span class="marker-name">${escapeHtml(label.label)}</span>
+            <span class="marker-frame">Frame ${label.frame}</span>
+        `;
+        li.addEventListener('click', () => {
+            scoreGrid.scrollLeft = (label.frame - 1) * SCORE_CELL_WIDTH;
+            stageFrameInput.value = label.frame;
+        });
+        markerList.appendChild(li);
+    }
+
+    scoreGrid.innerHTML = renderScoreGrid(dirFile, score, labels, channelCount);
+}
+
+function renderScoreGrid(dirFile, score, labels, channelCount) {
+    const width = score.frameCount * SCORE_CELL_WIDTH;
+    const row = (className, label, cells) => `<div class="score-row ${className}" style="width: ${SCORE_LABEL_WIDTH + width}px">` +
+        `<div class="score-row-label">${escapeHtml(label)}</div>` +
+        `<div class="score-cells" style="width: ${width}px">${cells}</div></div>`;
+    const left = frame => (frame - 1) * SCORE_CELL_WIDTH;
+
+    let html = '';
+
+    const markers = labels.map(label => {
+        const title = label.comment ? `${label.label}\n${label.comment}` : label.label;
+        return `<span class="score-marker" style="left: ${left(label.frame)}px" title="${escapeHtml(title)}">` +
+            `${escapeHtml(label.label)}</span>`;
+    }).join('');
+    html += row('score-markers', 'Markers', markers);
+
+    let ruler = '';
+    for (let frame = 1; frame <= score.frameCount; frame++) {
+        if (frame === 1 || frame % 5 === 0) {
+            ruler += `<span class="score-frame-number" style="left: ${left(frame)}px">${frame}</span>`;
+        }
+    }
+    html += row('score-ruler', 'Frame', ruler);
+
+    for (const [channel, label] of SCORE_MAIN_CHANNELS) {
+        const cells = score.mainChannelSpans(channel).map(span => {
+            const index = scoreSpans.length;
+            const member = span.value.member ? dirFile.getCastMember(span.value.castLib, span.value.member) : null;
+            scoreSpans.push({ member, behaviors: [] });
+
+            let text;
+            if (channel === 'tempo') {
+                text = `${span.value} fps`;
+            } else if (member) {
+                text = member.getName() || `#${member.id}`;
+            } else if (span.value.member) {
+                text = `#${span.value.member}`;
+            } else {
+                text = `Transition ${span.value.type}`;
+            }
+            const typeClass = member ? memberTypeClass(member.type) : 'type-main';
+            return scoreSpanHtml(index, span, typeClass, text, `${label}: ${text}`, []);
+        }).join('');
+        html += row('score-main-channel', label, cells);
+    }
+
+    for (let channel = 1; channel <= channelCount; channel++) {
+        const cells = score.getSpansInChannel(channel).map(span => {
+            const index = scoreSpans.length;
+            const sprite = span.sprite;
+            const member = dirFile.getCastMember(sprite.castLib, sprite.member);
+            const behaviors = span.behaviors.map(ref => dirFile.getCastMember(ref.castLib, ref.member));
+            scoreSpans.push({ member, behaviors });
+
+            const text = member ? (member.getName() || `#${member.id}`) : `#${sprite.member}`;
+            const behaviorNames = behaviors.map((behavior, i) =>
+                behavior ? (behavior.getName() || `#${behavior.id}`) : `#${span.behaviors[i].member}`);
+            const title = [
+                `Sprite ${channel}: ${text}`,
+                `Frames ${span.startFrame}-${span.endFrame}`,
+                `Ink: ${inkName(sprite.ink)}, Blend: ${sprite.blend}%`,
+                `Loc: (${sprite.locH}, ${sprite.locV}), Size: ${sprite.width} x ${sprite.height}`
+            ];
+            if (behaviorNames.length > 0) {
+                title.push(`Behaviors: ${behaviorNames.join(', ')}`);
+            }
+            const typeClass = member ? memberTypeClass(member.type) : 'type-unknown';
+            return scoreSpanHtml(index, span, typeClass, text, title.join('\n'), behaviorNames);
+        }).join('');
+        html += row('score-sprite-channel', String(channel), cells);
+    }
+
+    return html;
+}
+
+function scoreSpanHtml(index, span, typeClass, text, title, behaviorNames) {
+    const left = (span.startFrame - 1) * SCORE_CELL_WIDTH;
+    const width = (span.endFrame - span.startFrame + 1) * SCORE_CELL_WIDTH;
+    const behaviorWidth = 100 / Math.max(behaviorNames.length, 1);
+    const behaviors = behaviorNames.map((name, i) =>
+        `<span class="score-behavior" data-behavior="${i}" style="left: ${i * behaviorWidth}%; width: ${behaviorWidth}%" ` +
+        `title="${escapeHtml(name)}"></span>`).join('');
+    return `<div class="score-span ${typeClass}" data-span="${index}" style="left: ${left}px; width: ${width}px" ` +
+        `title="${escapeHtml(title)}">${escapeHtml(text)}${behaviors}</div>`;
+}
+
+function memberTypeClass(type) {
+    return 'type-' + (MemberTypeNames[type] || 'Unknown').toLowerCase().replace(/\s+/g, '-');
+}
+
+// Clicking a span opens its member; clicking its behavior strip opens the behavior.
+// Clicking the frame numbers renders that frame.
+function handleScoreClick(e) {
+    const ruler = e.target.closest('.score-ruler .score-cells');
+    if (ruler) {
+        const frame = Math.floor((e.clientX - ruler.getBoundingClientRect().left) / SCORE_CELL_WIDTH) + 1;
+        stageFrameInput.value = frame;
+        renderStageFrame(frame);
+        return;
+    }
+
+    const spanElement = e.target.closest('.score-span');
+    if (!spanElement) return;
+
+    const entry = scoreSpans[parseInt(spanElement.dataset.span, 10)];
+    const behaviorElement = e.target.closest('.score-behavior');
+    const member = behaviorElement ? entry.behaviors[parseInt(behaviorElement.dataset.behavior, 10)] : entry.member;
+    if (!revealMember(member)) {
+        showError('That cast member is not in this file.');
+    }
+}
+
+function renderStageFrame(frame) {
+    if (!stageRenderer || !currentDirFile.score) return;
+    if (!(frame >= 1 && frame <= currentDirFile.score.frameCount)) {
+        showError(`Frame must be between 1 and ${currentDirFile.score.frameCount}.`);
+        return;
+    }
+
+    try {
+        stageRenderer.renderFrame(frame, stageCanvas);
+    } catch (e) {
+        console.error('Error rendering frame:', e);
+        showError('Could not render frame: ' + e.message);
+        return;
+    }
+
+    renderedFrame = frame;
+    const stage = stageRenderer.stageRect;
+    let info = `Frame ${frame} - stage ${stage.width} x ${stage.height}`;
+    if (stageRenderer.skipped.length > 0) {
+        const channels = stageRenderer.skipped.map(entry => entry.channel).join(', ');
+        info += ` - not drawn: sprite ${channels}`;
+    }
+    stageInfo.textContent = info;
+    stageView.classList.remove('hidden');
+    downloadFrameBtn.classList.remove('hidden');
+}
+
+function hideStageFrame() {
+    renderedFrame = 0;
+    stageView.classList.add('hidden');
+    downloadFrameBtn.classList.add('hidden');
+    stageInfo.textContent = '';
+}
+
+function downloadStageFrame() {
+    if (!renderedFrame) return;
+
+    const baseName = currentFile ? currentFile.name.replace(/\.[^.]+$/, '') : 'movie';
+    stageCanvas.toBlob(blob => {
+        downloadData(blob, `${baseName}-frame-${renderedFrame}.png`, 'image/png');
+    }, 'image/png');
+}
+
+/**
+ * Export a range of score frames as an animated GIF or a zip of PNGs,
+ * timed by the tempo channel
+ */
+async function exportScoreRange(format) {
+    const score = currentDirFile && currentDirFile.score;
+    if (!stageRenderer || !score) return;
+
+    const start = parseInt(exportStartInput.value, 10);
+    const end = parseInt(exportEndInput.value, 10);
+    if (!(start >= 1 && end >= start && end <= score.frameCount)) {
+        showError(`Export range must be within frames 1 to ${score.frameCount}.`);
+        return;
+    }
+
+    const baseName = currentFile ? currentFile.name.replace(/\.[^.]+$/, '') : 'movie';
+    const durations = score.frameDurations(movieFrameRate());
+    exportRangeGifBtn.disabled = true;
+    exportRangePngBtn.disabled = true;
+    try {
+        // Each frame is encoded as soon as it is composed, so only one is held at a time
+        if (format === 'gif') {
+            const stage = stageRenderer.stageRect;
+            const gif = new GifEncoder(stage.width, stage.height);
+            for (let frame = start; frame <= end; frame++) {
+                gif.addFrame(stageRenderer.composeFrame(frame), durations[frame - 1]);
+            }
+            downloadData(gif.finish(), `${baseName}-frames-${start}-${end}.gif`, 'image/gif');
+        } else {
+            const digits = Math.max(3, String(end).length);
+            const files = [];
+            for (let frame = start; frame <= end; frame++) {
+                files.push({
+                    name: `${baseName}-frame-${String(frame).padStart(digits, '0')}.png`,
+                    data: await encodePng(stageRenderer.composeFrame(frame))
+                });
+            }
+            downloadData(createZip(files), `${baseName}-frames-${start}-${end}.zip`, 'application/zip');
+        }
+    } catch (e) {
+        console.error('Error exporting frames:', e);
+        showError('Could not export frames: ' + e.message);
+    } finally {
+        exportRangeGifBtn.disabled = false;
+        exportRangePngBtn.disabled = false;
+    }
+}
+
+function revealMember(member) {
+    if (!member) return false;
+
+    const scriptIndex = scripts.findIndex(s => s.chunk.member === member);
+    if (scriptIndex >= 0) {
+        switchTab('scripts');
+        selectScript(scriptIndex);
+        scriptList.querySelector('li.selected')?.scrollIntoView({ block: 'nearest' });
+        return true;
+    }
+
+    const assetIndex = assets.findIndex(asset => asset.member === member);
+    if (assetIndex >= 0) {
+        // Make sure the asset is not hidden by the search or type filters
+        if (!getFilteredAssets().includes(assets[assetIndex])) {
+            document.getElementById('asset-search').value = '';
+            document.querySelectorAll('#type-filters input[type="checkbox"]').forEach(cb => cb.checked = true);
+            populateAssetList();
+        }
+        switchTab('assets');
+        selectAsset(assetIndex);
+        assetList.querySelector('li.selected')?.scrollIntoView({ block: 'nearest' });
+        return true;
+    }
+    return false;
+}
+
 // Get selected asset types from checkboxes
 function getSelectedAssetTypes() {
     const checkboxes = document.querySelectorAll('#type-filters input[type="checkbox"]:checked');
@@ -705,7 +1577,10 @@ function refreshCodeDisplay() {
             const code = selectedScript.script.bytecodeText('\n', dotSyntax);
             codeDisplay.innerHTML = highlightLasm(code);
         } else {
-            const code = selectedScript.script.scriptText('\n', dotSyntax);
+            const frameLabels = currentDirFile && currentDirFile.frameLabels
+                ? currentDirFile.frameLabels.framesByLabel
+                : null;
+            const code = selectedScript.script.scriptText('\n', dotSyntax, frameLabels);
             codeDisplay.innerHTML = highlightLingo(code);
         }
     } catch (error) {
@@ -714,6 +1589,34 @@ function refreshCodeDisplay() {
     }
 }
 
+// Mac timestamps are local time, so show them as stored rather than shifted to this time zone
+function formatMacTime(date) {
+    return date ? date.toISOString().slice(0, 19).replace('T', ' ') : '';
+}
+
+function renderCastInfoDetails(member) {
+    const info = member.info;
+    if (!info) return '';
+
+    const rows = [
+        ['Linked File', member.getLinkedFilePath()],
+        ['File Type', info.fileType],
+        ['Xtra', info.xtraName],
+        ['Xtra GUID', info.xtraGUID],
+        ['Media Format', info.mediaFormatName],
+        ['Created', formatMacTime(info.creationTime)],
+        ['Modified', formatMacTime(info.modifiedTime)],
+        ['Modified By', info.modifiedBy],
+        ['Image Compression', info.imageCompression || ''],
+        ['Image Quality', info.imageQuality || ''],
+        ['Comments', member.getComments()]
+    ];
+    return rows
+        .filter(([, value]) => value !== '')
+        .map(([label, value]) => `<p><strong>${label}:</strong> ${escapeHtml(String(value))}</p>`)
+        .join('');
+}
+
 function refreshAssetDisplay() {
     if (!selectedAsset) {
         assetInfo.innerHTML = '';
@@ -721,6 +1624,9 @@ function refreshAssetDisplay() {
     }
 
     // Hide all preview elements
+    stopFilmLoop();
+    hideTextExports();
+    assetPreview.classList.remove('rich-text');
     assetCanvas.classList.add('hidden');
     assetText.classList.add('hidden');
     assetBinary.classList.add('hidden');
@@ -740,6 +1646,7 @@ function refreshAssetDisplay() {
     if (member.specificData && member.specificData.length > 0) {
         infoHtml += `<p><strong>Data Size:</strong> ${member.specificData.length} bytes</p>`;
     }
+    infoHtml += renderCastInfoDetails(member);
 
     assetInfo.innerHTML = infoHtml;
 
@@ -749,9 +1656,11 @@ function refreshAssetDisplay() {
             displayBitmap(selectedAsset);
             break;
         case MemberType.kTextMember:
-        case MemberType.kRTEMember:
             displayText(selectedAsset);
             break;
+        case MemberType.kRTEMember:
+            displayRichText(selectedAsset);
+            break;
         case MemberType.kShapeMember:
             displayShape(selectedAsset);
             break;
@@ -767,514 +1676,17 @@ function refreshAssetDisplay() {
         case MemberType.kFilmLoopMember:
             displayFilmLoop(selectedAsset);
             break;
-        default:
-            displayBinaryData(selectedAsset);
-            break;
-    }
-}
-
-// Built-in palette IDs following ScummVM's Director engine
-// These match the PaletteType enum values from ScummVM
-const PaletteType = {
-    kClutSystemMac: -1,
-    kClutRainbow: -2,
-    kClutGrayscale: -3,
-    kClutPastels: -4,
-    kClutVivid: -5,
-    kClutNTSC: -6,
-    kClutMetallic: -7,
-    kClutWeb216: -8,
-    kClutSystemWin: -101,
-    kClutSystemWinD5: -102
-};
-
-// Generate Mac System palette (256 colors)
-// This is the classic Macintosh system palette used by Director
-function generateSystemMacPalette() {
-    const palette = new Array(256);
-
-    // The Mac system palette uses a 6x6x6 color cube for indices 0-215
-    // with index 0 = white, arranged so lower indices are brighter
-    for (let i = 0; i < 215; i++) {
-        const r = 5 - Math.floor(i / 36);
-        const g = 5 - Math.floor((i % 36) / 6);
-        const b = 5 - (i % 6);
-        palette[i] = [r * 51, g * 51, b * 51];
-    }
-
-    // Indices 215-254: Grayscale ramp (bright to dark)
-    for (let i = 215; i < 255; i++) {
-        const gray = Math.round(255 - ((i - 215) * 255 / 39));
-        palette[i] = [gray, gray, gray];
-    }
-
-    // Index 255 = Black
-    palette[255] = [0, 0, 0];
-    // Override index 0 to ensure it's white
-    palette[0] = [255, 255, 255];
-
-    return palette;
-}
-
-// Generate Grayscale palette (256 levels from white to black)
-function generateGrayscalePalette() {
-    const palette = new Array(256);
-    for (let i = 0; i < 256; i++) {
-        // Linear interpolation: index 0 = white (255), index 255 = black (0)
-        const gray = 255 - i;
-        palette[i] = [gray, gray, gray];
-    }
-    return palette;
-}
-
-// Generate Rainbow palette
-function generateRainbowPalette() {
-    const palette = new Array(256);
-    for (let i = 0; i < 256; i++) {
-        // HSV to RGB conversion with H varying from 0 to 360
-        const h = (i / 255) * 360;
-        const s = 1.0;
-        const v = 1.0;
-        const c = v * s;
-        const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
-        const m = v - c;
-        let r, g, b;
-        if (h < 60) { r = c; g = x; b = 0; }
-        else if (h < 120) { r = x; g = c; b = 0; }
-        else if (h < 180) { r = 0; g = c; b = x; }
-        else if (h < 240) { r = 0; g = x; b = c; }
-        else if (h < 300) { r = x; g = 0; b = c; }
-        else { r = c; g = 0; b = x; }
-        palette[i] = [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
-    }
-    return palette;
-}
-
-// Cache of built-in palettes (generated on demand)
-const builtInPalettes = {};
-
-// Get a built-in palette by its ID
-function getBuiltInPalette(paletteId) {
-    // Check cache first
-    if (builtInPalettes[paletteId]) {
-        return builtInPalettes[paletteId];
-    }
-
-    let palette;
-    switch (paletteId) {
-        case PaletteType.kClutSystemMac:
-        case PaletteType.kClutSystemWin:
-        case PaletteType.kClutSystemWinD5:
-            palette = generateSystemMacPalette();
-            break;
-        case PaletteType.kClutGrayscale:
-            palette = generateGrayscalePalette();
-            break;
-        case PaletteType.kClutRainbow:
-            palette = generateRainbowPalette();
-            break;
-        case PaletteType.kClutPastels:
-        case PaletteType.kClutVivid:
-        case PaletteType.kClutNTSC:
-        case PaletteType.kClutMetallic:
-        case PaletteType.kClutWeb216:
-            // For unsupported palettes, fall back to Mac System
-            palette = generateSystemMacPalette();
-            break;
-        default:
-            // Unknown built-in palette, use Mac System as default
-            palette = generateSystemMacPalette();
-            break;
-    }
-
-    builtInPalettes[paletteId] = palette;
-    return palette;
-}
-
-// Parse a CLUT chunk into a palette array
-function parseCLUTChunk(clutData) {
-    const bytes = toUint8Array(clutData);
-    const numColors = Math.min(256, Math.floor(bytes.length / 6));
-    const palette = [];
-    for (let i = 0; i < numColors; i++) {
-        const offset = i * 6;
-        // Director palettes store colors as 16-bit values per channel (we use high byte)
-        palette.push([
-            bytes[offset] || 0,      // R (high byte)
-            bytes[offset + 2] || 0,  // G (high byte)
-            bytes[offset + 4] || 0   // B (high byte)
-        ]);
-    }
-    // Pad to 256 if needed
-    while (palette.length < 256) {
-        palette.push([0, 0, 0]);
-    }
-    return palette;
-}
-
-// Parse the palette ID from a bitmap member's specificData
-// Following ScummVM's BitmapCastMember parsing logic
-function parseBitmapPaletteId(specificData, version) {
-    if (!specificData || specificData.length < 24) {
-        return { paletteId: PaletteType.kClutSystemMac, castLib: -1 };
-    }
-
-    const bytes = toUint8Array(specificData);
-    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-
-    // Check if high bit of first word is set (indicates extended data)
-    const bytesFlag = view.getUint16(0, false);
-    const hasExtendedData = (bytesFlag & 0x8000) !== 0;
-
-    if (!hasExtendedData) {
-        // No palette info in specificData, use default
-        return { paletteId: PaletteType.kClutSystemMac, castLib: -1 };
-    }
-
-    // For Director version >= 400, palette info is at different offsets
-    // specificData layout for D4+:
-    // 0-1: totalWidth (with high bit flag)
-    // 2-9: initialRect (top, left, bottom, right)
-    // 10-17: boundingRect
-    // 18-21: regPoint (y, x)
-    // 22: skip 1 byte (or flags)
-    // 23: bitsPerPixel
-    // 24-25: clutCastLib (for D5+)
-    // 26-27: clutId (or 24-25 for D4)
-
-    let paletteId = PaletteType.kClutSystemMac;
-    let castLib = -1;
-
-    try {
-        if (version >= 500) {
-            // D5+: has castLib field
-            if (bytes.length >= 28) {
-                castLib = view.getInt16(24, false);
-                paletteId = view.getInt16(26, false);
-            }
-        } else if (version >= 400) {
-            // D4: no castLib field
-            if (bytes.length >= 26) {
-                paletteId = view.getInt16(24, false);
-            }
-        } else {
-            // Pre-D4: simpler format
-            // Palette ID after regPoint at offset 22
-            if (bytes.length >= 24) {
-                paletteId = view.getInt16(22, false);
-            }
-        }
-
-        // ScummVM convention: built-in palettes are stored as (id - 1) in file
-        // So clutId <= 0 means built-in, need to subtract 1 to get actual ID
-        if (paletteId <= 0) {
-            paletteId = paletteId - 1;
-            castLib = -1;
-        }
-    } catch (e) {
-        console.warn('Error parsing palette ID:', e);
-    }
-
-    console.log('Parsed palette ID:', paletteId, 'castLib:', castLib);
-    return { paletteId, castLib };
-}
-
-// Helper: Try to resolve a CLUT palette from a cast member chunk ID
-function resolvePaletteFromChunkId(chunkId) {
-    if (!currentDirFile || !currentDirFile.keyTable) {
-        return null;
-    }
-
-    const clutFourCC = FOURCC('C', 'L', 'U', 'T');
-    for (const entry of currentDirFile.keyTable.entries) {
-        if (entry.castID === chunkId && entry.fourCC === clutFourCC) {
-            try {
-                const clutData = currentDirFile.getChunkData(clutFourCC, entry.sectionID);
-                if (clutData) {
-                    return {
-                        palette: parseCLUTChunk(clutData),
-                        name: `Custom Palette #${chunkId}`,
-                        id: chunkId
-                    };
-                }
-            } catch (e) {
-                console.warn('Error loading CLUT chunk:', e);
-            }
-        }
-    }
-    return null;
-}
-
-// Get the palette for a bitmap by looking up its palette reference
-// Uses multiple fallback strategies following LibreShockwave's approach
-function getPaletteForBitmap(bitmapMember) {
-    const version = currentDirFile?.version || 500;
-    const { paletteId, castLib } = parseBitmapPaletteId(bitmapMember.specificData, version);
-
-    // Built-in palette (negative ID)
-    if (paletteId < 0) {
-        console.log('Using built-in palette:', paletteId);
-        return {
-            palette: getBuiltInPalette(paletteId),
-            name: getPaletteName(paletteId),
-            id: paletteId
-        };
-    }
-
-    if (!currentDirFile) {
-        return {
-            palette: getBuiltInPalette(PaletteType.kClutSystemMac),
-            name: 'System - Mac',
-            id: PaletteType.kClutSystemMac
-        };
-    }
-
-    // Strategy 1: paletteId might be the member number - 1 (after parsing adjustment)
-    // Convert to member number and search in cast arrays
-    const memberNumber = paletteId + 1;
-    for (const cast of currentDirFile.casts) {
-        const index = memberNumber - 1;
-        if (index >= 0 && index < cast.memberIDs.length) {
-            const chunkId = cast.memberIDs[index];
-            if (chunkId > 0) {
-                const resolved = resolvePaletteFromChunkId(chunkId);
-                if (resolved) {
-                    console.log('Strategy 1: Found palette via member number', memberNumber);
-                    return resolved;
-                }
-            }
-        }
-    }
-
-    // Strategy 2: paletteId might be directly a chunk section ID for a CastMemberChunk
-    let resolved = resolvePaletteFromChunkId(paletteId);
-    if (resolved) {
-        console.log('Strategy 2: Found palette via direct chunk ID', paletteId);
-        return resolved;
-    }
-
-    // Strategy 2b: paletteId might directly reference a CLUT chunk section ID
-    const clutFourCC = FOURCC('C', 'L', 'U', 'T');
-    const clutIds = currentDirFile.chunkIDsByFourCC.get(clutFourCC) || [];
-    for (const clutId of clutIds) {
-        if (clutId === paletteId || clutId === paletteId + 1) {
-            try {
-                const clutData = currentDirFile.getChunkData(clutFourCC, clutId);
-                if (clutData) {
-                    console.log('Strategy 2b: Found palette via CLUT chunk ID', clutId);
-                    return {
-                        palette: parseCLUTChunk(clutData),
-                        name: `Custom Palette #${clutId}`,
-                        id: clutId
-                    };
-                }
-            } catch (e) {
-                console.warn('Error loading CLUT chunk:', e);
-            }
-        }
-    }
-
-    // Strategy 3: paletteId might be the 1-based index among palette cast members
-    let paletteIndex = 0;
-    for (const cast of currentDirFile.casts) {
-        for (const [memberId, member] of cast.members) {
-            if (member.type === MemberType.kPaletteMember) {
-                if (paletteIndex === paletteId) {
-                    resolved = resolvePaletteFromChunkId(member.castSectionID);
-                    if (resolved) {
-                        console.log('Strategy 3: Found palette via palette member index', paletteIndex);
-                        return resolved;
-                    }
-                }
-                paletteIndex++;
-            }
-        }
-    }
-
-    // Strategy 4: Return first available CLUT palette
-    if (clutIds.length > 0) {
-        try {
-            const clutData = currentDirFile.getChunkData(clutFourCC, clutIds[0]);
-            if (clutData) {
-                console.log('Strategy 4: Using first available CLUT palette');
-                return {
-                    palette: parseCLUTChunk(clutData),
-                    name: 'Custom Palette',
-                    id: clutIds[0]
-                };
-            }
-        } catch (e) {
-            console.warn('Error loading first CLUT chunk:', e);
-        }
-    }
-
-    // Default fallback to Mac System palette
-    console.log('Using default Mac System palette (no custom palette found)');
-    return {
-        palette: getBuiltInPalette(PaletteType.kClutSystemMac),
-        name: 'System - Mac',
-        id: PaletteType.kClutSystemMac
-    };
-}
-
-// Get human-readable name for a palette ID
-function getPaletteName(paletteId) {
-    switch (paletteId) {
-        case PaletteType.kClutSystemMac: return 'System - Mac';
-        case PaletteType.kClutRainbow: return 'Rainbow';
-        case PaletteType.kClutGrayscale: return 'Grayscale';
-        case PaletteType.kClutPastels: return 'Pastels';
-        case PaletteType.kClutVivid: return 'Vivid';
-        case PaletteType.kClutNTSC: return 'NTSC';
-        case PaletteType.kClutMetallic: return 'Metallic';
-        case PaletteType.kClutWeb216: return 'Web 216';
-        case PaletteType.kClutSystemWin: return 'System - Win';
-        case PaletteType.kClutSystemWinD5: return 'System - Win (D5)';
-        default:
-            if (paletteId > 0) return `Cast Member #${paletteId}`;
-            return `Unknown (${paletteId})`;
-    }
-}
-
-/**
- * BITD Decoder - Following ScummVM's Director engine implementation
- * Handles decompression and pixel extraction for Director bitmap data
- */
-
-// Parse bitmap member specific data following ScummVM's BitmapCastMember
-function parseBitmapMemberData(specificData, version) {
-    if (!specificData || specificData.length < 10) {
-        return null;
-    }
-
-    const bytes = toUint8Array(specificData);
-    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-
-    // Common header for all versions:
-    // Offset 0-1: flags/pitch (high bit indicates extended data)
-    // Offset 2-9: initialRect (top, left, bottom, right)
-    const flags = view.getUint16(0, false);
-    const top = view.getInt16(2, false);
-    const left = view.getInt16(4, false);
-    const bottom = view.getInt16(6, false);
-    const right = view.getInt16(8, false);
-
-    const width = right - left;
-    const height = bottom - top;
-
-    if (width <= 0 || height <= 0) {
-        return null;
-    }
-
-    let pitch = 0;
-    let bitsPerPixel = 1;
-    let paletteId = PaletteType.kClutSystemMac;
-
-    if (version < 400) {
-        // Pre-D4: Calculate pitch from width, pad to 16-byte boundary
-        // ScummVM: pitch = width; if (pitch % 16) pitch += 16 - (width % 16); pitch *= bpp; pitch >>= 3;
-        pitch = width;
-        if (pitch % 16 !== 0) {
-            pitch += 16 - (width % 16);
-        }
-
-        // For pre-D4, check if we have extended data
-        if ((flags & 0x8000) !== 0 && bytes.length >= 24) {
-            bitsPerPixel = view.getUint16(20, false);
-            const clutId = view.getInt16(22, false);
-            paletteId = clutId <= 0 ? clutId - 1 : clutId;
-        }
-
-        pitch = (pitch * bitsPerPixel) >> 3;
-    } else {
-        // D4+: pitch is stored in the data (masked)
-        pitch = flags & 0x7FFF;
-
-        // Read bounding rect (offset 10-17), regPoint (18-21)
-        // Then flags1 at 22, bitsPerPixel at 23
-        if (bytes.length >= 24) {
-            bitsPerPixel = view.getUint8(23);
-            if (bitsPerPixel === 0) bitsPerPixel = 1;
-        }
-
-        // Palette ID location depends on version
-        if (version >= 500 && bytes.length >= 28) {
-            // D5+: clutCastLib at 24-25, clutId at 26-27
-            paletteId = view.getInt16(26, false);
-            if (paletteId <= 0) paletteId = paletteId - 1;
-        } else if (bytes.length >= 26) {
-            // D4: clutId at 24-25
-            paletteId = view.getInt16(24, false);
-            if (paletteId <= 0) paletteId = paletteId - 1;
-        }
-    }
-
-    // If pitch is still 0, calculate it
-    if (pitch === 0) {
-        pitch = Math.ceil((width * bitsPerPixel) / 8);
-        // Align to word boundary
-        if (pitch % 2 !== 0) pitch++;
-    }
-
-    console.log('parseBitmapMemberData:', { width, height, bitsPerPixel, pitch, paletteId, version });
-
-    return {
-        width,
-        height,
-        bitsPerPixel,
-        pitch,
-        paletteId,
-        top,
-        left
-    };
-}
-
-// ScummVM-style RLE decompression for BITD chunks
-// Returns decompressed data, or null if data appears uncompressed
-function decompressBITD(stream, expectedBytes, version, bitsPerPixel) {
-    const streamSize = stream.length;
-
-    // Check if data is uncompressed
-    // ScummVM: For 32-bit before D4, data is always raw
-    if (version < 400 && bitsPerPixel === 32) {
-        return stream;
-    }
-
-    // If stream is at least as large as expected, assume uncompressed
-    if (streamSize >= expectedBytes) {
-        return stream;
-    }
-
-    // RLE decompression following ScummVM
-    const output = new Uint8Array(expectedBytes);
-    let srcPos = 0;
-    let dstPos = 0;
-
-    while (srcPos < streamSize && dstPos < expectedBytes) {
-        const code = stream[srcPos++];
-
-        if ((code & 0x80) === 0) {
-            // Literal run: copy (code + 1) bytes
-            const count = code + 1;
-            for (let i = 0; i < count && srcPos < streamSize && dstPos < expectedBytes; i++) {
-                output[dstPos++] = stream[srcPos++];
-            }
-        } else {
-            // Repeat run: repeat next byte ((code ^ 0xFF) + 2) times
-            const count = (code ^ 0xFF) + 2;
-            const value = srcPos < streamSize ? stream[srcPos++] : 0;
-            for (let i = 0; i < count && dstPos < expectedBytes; i++) {
-                output[dstPos++] = value;
-            }
-        }
-    }
-
-    // Pad with zeros if we didn't get enough data
-    while (dstPos < expectedBytes) {
-        output[dstPos++] = 0;
+        case MemberType.kXtraMember:
+            if (selectedAsset.dataChunkId) {
+                displayXmedText(selectedAsset);
+            } else {
+                displayBinaryData(selectedAsset);
+            }
+            break;
+        default:
+            displayBinaryData(selectedAsset);
+            break;
     }
-
-    return output;
 }
 
 function displayBitmap(asset) {
@@ -1304,24 +1716,7 @@ function displayBitmap(asset) {
 
     const { width, height, bitsPerPixel, pitch, paletteId } = bitmapInfo;
 
-    // Get the appropriate palette
-    let paletteInfo;
-    if (paletteId < 0) {
-        paletteInfo = {
-            palette: getBuiltInPalette(paletteId),
-            name: getPaletteName(paletteId),
-            id: paletteId
-        };
-    } else if (paletteId > 0) {
-        // Try to load custom palette from CLUT
-        paletteInfo = getPaletteForBitmap(member);
-    } else {
-        paletteInfo = {
-            palette: getBuiltInPalette(PaletteType.kClutSystemMac),
-            name: 'System - Mac',
-            id: PaletteType.kClutSystemMac
-        };
-    }
+    const paletteInfo = resolveBitmapPalette(currentDirFile, member, paletteId);
 
     // Update info display
     assetInfo.innerHTML += `
@@ -1340,7 +1735,17 @@ function displayBitmap(asset) {
 
     try {
         const bitdBytes = toUint8Array(bitdData);
-        decodeBITD(bitdBytes, width, height, bitsPerPixel, pitch, paletteInfo.palette, version);
+        const decoded = decodeBITD(bitdBytes, width, height, bitsPerPixel, pitch, paletteInfo.palette, version);
+        if (decoded.isCompressed) {
+            assetInfo.innerHTML += `<p><strong>Compression:</strong> RLE (${decoded.compressedLength} -> ${decoded.decompressedLength} bytes)</p>`;
+        } else {
+            assetInfo.innerHTML += `<p><strong>Compression:</strong> None</p>`;
+        }
+
+        assetCanvas.width = width;
+        assetCanvas.height = height;
+        assetCanvas.getContext('2d').putImageData(new ImageData(decoded.image.data, width, height), 0, 0);
+        assetCanvas.classList.remove('hidden');
     } catch (e) {
         console.error('Error decoding bitmap:', e);
         assetInfo.innerHTML += `<p><strong>Error:</strong> ${e.message}</p>`;
@@ -1348,291 +1753,247 @@ function displayBitmap(asset) {
     }
 }
 
-// Main BITD decoder following ScummVM's BITDDecoder::loadStream
-function decodeBITD(stream, width, height, bitsPerPixel, pitch, palette, version) {
-    console.log('decodeBITD:', { width, height, bitsPerPixel, pitch, streamSize: stream.length, version });
+/**
+ * CSS for one STXT style run. Fonts go through the movie's font map so a
+ * Mac movie viewed on Windows gets the substitute Director would use.
+ */
+function styleRunCss(run, fontMap) {
+    const css = [];
+    const fontName = fontMap.resolveFont(run.fontId);
+    if (fontName) {
+        css.push(`font-family: '${fontName.replace(/['"\\]/g, '')}', Geneva, Arial, sans-serif`);
+    }
+    if (run.size > 0) {
+        css.push(`font-size: ${fontMap.resolveSize(run.fontId, run.size)}px`);
+    }
+    if (run.bold) css.push('font-weight: bold');
+    if (run.italic) css.push('font-style: italic');
+    if (run.underline) css.push('text-decoration: underline');
+    if (run.outline) css.push('-webkit-text-stroke: 1px currentColor; color: transparent');
+    else css.push(`color: rgb(${run.color.join(', ')})`);
+    if (run.shadow) css.push('text-shadow: 1px 1px 0 rgba(0, 0, 0, 0.5)');
+    if (run.condense) css.push('letter-spacing: -1px');
+    if (run.extend) css.push('letter-spacing: 1px');
+    return css.join('; ');
+}
+
+/**
+ * Render decoded text as HTML, one span per style run. Run offsets count
+ * characters, which matches bytes for the single-byte encodings text
+ * members use.
+ */
+function renderStyledText(text, runs, fontMap) {
+    let html = '';
+    for (let i = 0; i < runs.length; i++) {
+        const start = i === 0 ? 0 : Math.min(runs[i].start, text.length);
+        const end = i + 1 < runs.length ? Math.min(runs[i + 1].start, text.length) : text.length;
+        if (end <= start) continue;
 
-    if (width <= 0 || height <= 0 || width > 4096 || height > 4096) {
-        throw new Error('Invalid bitmap dimensions');
+        const segment = text.slice(start, end).replace(/\r/g, '\n');
+        html += `<span style="${escapeHtml(styleRunCss(runs[i], fontMap))}">${escapeHtml(segment)}</span>`;
     }
+    return html || '(Empty text)';
+}
 
-    const canvas = assetCanvas;
-    const ctx = canvas.getContext('2d');
-    canvas.width = width;
-    canvas.height = height;
+function displayText(asset) {
+    const member = asset.member;
 
-    const imageData = ctx.createImageData(width, height);
-    const pixels = imageData.data;
+    // Try to get text from STXT chunk
+    if (asset.dataChunkId && currentDirFile.chunkExists(FOURCC('S', 'T', 'X', 'T'), asset.dataChunkId)) {
+        try {
+            const { textBytes, runs } = currentDirFile.readStyledText(asset.dataChunkId);
+            showStyledText(asset, decodePlatformText(textBytes), runs);
+            return;
+        } catch (e) {
+            console.error('Error loading text:', e);
+        }
+    }
 
-    // Use default palette if not provided
-    palette = palette || getBuiltInPalette(PaletteType.kClutSystemMac);
+    // Fall back to displaying raw data
+    displayBinaryData(asset);
+}
 
-    // Calculate bytes per pixel for pitch calculation
-    let bytesPerPixel;
-    if (bitsPerPixel <= 8) {
-        bytesPerPixel = 1;
-    } else if (bitsPerPixel === 16) {
-        bytesPerPixel = 2;
-    } else {
-        bytesPerPixel = 4;
+function displayXmedText(asset) {
+    try {
+        const xmed = parseXmed(currentDirFile.getChunkData(FOURCC('X', 'M', 'E', 'D'), asset.dataChunkId));
+        if (xmed.textBytes) {
+            showStyledText(asset, decodePlatformText(xmed.textBytes), []);
+            // Only the text is recovered; the XMED style sections are not decoded
+            assetInfo.innerHTML += '<p><strong>Styles:</strong> not decoded for Text Xtra members; ' +
+                'the text is shown and exported unstyled</p>';
+            return;
+        }
+        console.warn('No text found in XMED chunk', asset.dataChunkId);
+    } catch (e) {
+        console.error('Error loading XMED text:', e);
     }
+    displayBinaryData(asset);
+}
 
-    // Expected uncompressed size
-    const expectedBytes = pitch * height;
+function displayRichText(asset) {
+    let richText = null;
+    try {
+        richText = loadRichText(currentDirFile, asset.member);
+    } catch (e) {
+        console.error('Error loading rich text:', e);
+    }
+    if (!richText || (!richText.textBytes && !richText.bitmap)) {
+        displayBinaryData(asset);
+        return;
+    }
 
-    // Decompress if needed
-    const isCompressed = stream.length < expectedBytes;
-    let data;
+    assetPreview.classList.add('rich-text');
+    if (richText.bitmap) {
+        const { width, height, bitsPerPixel, image } = richText.bitmap;
+        assetInfo.innerHTML += `<p><strong>Rendered Text:</strong> ${width} x ${height}, ${bitsPerPixel}-bit anti-aliasing</p>`;
+        assetCanvas.width = width;
+        assetCanvas.height = height;
+        assetCanvas.getContext('2d').putImageData(new ImageData(image.data, width, height), 0, 0);
+        assetCanvas.classList.remove('hidden');
+        richTextBitmap = { name: asset.name.replace(/[^a-zA-Z0-9_-]/g, '_'), image };
+        exportBitmapBtn.classList.remove('hidden');
+    }
+    if (richText.textBytes) {
+        showStyledText(asset, decodePlatformText(richText.textBytes), []);
+    }
+    if (richText.document) {
+        assetInfo.innerHTML += `<p><strong>Styles:</strong> RTE0 document (${richText.document.size.toLocaleString()} bytes) ` +
+            'not decoded; the text is shown and exported unstyled</p>';
+    }
+}
 
-    if (isCompressed) {
-        data = decompressBITD(stream, expectedBytes, version, bitsPerPixel);
-        assetInfo.innerHTML += `<p><strong>Compression:</strong> RLE (${stream.length} -> ${data.length} bytes)</p>`;
-    } else {
-        data = stream;
-        assetInfo.innerHTML += `<p><strong>Compression:</strong> None</p>`;
-    }
-
-    // Pixel extraction based on bit depth
-    // Following ScummVM's BITDDecoder::loadStream
-
-    if (bitsPerPixel === 1) {
-        // 1-bit: 8 pixels per byte
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const byteIdx = y * pitch + Math.floor(x / 8);
-                const bitIdx = 7 - (x % 8);
-                const bit = (data[byteIdx] >> bitIdx) & 1;
-                // ScummVM: bit ? 0x00 : 0xff (1 = black, 0 = white)
-                const color = bit ? 0 : 255;
-                const dstOffset = (y * width + x) * 4;
-                pixels[dstOffset] = color;
-                pixels[dstOffset + 1] = color;
-                pixels[dstOffset + 2] = color;
-                pixels[dstOffset + 3] = 255;
-            }
-        }
-    } else if (bitsPerPixel === 2) {
-        // 2-bit: 4 pixels per byte
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const byteIdx = y * pitch + Math.floor(x / 4);
-                const shift = 2 * (3 - (x % 4));
-                const colorIdx = (data[byteIdx] >> shift) & 0x03;
-                // 2-bit grayscale: 0=white, 3=black
-                const gray = 255 - (colorIdx * 85);
-                const dstOffset = (y * width + x) * 4;
-                pixels[dstOffset] = gray;
-                pixels[dstOffset + 1] = gray;
-                pixels[dstOffset + 2] = gray;
-                pixels[dstOffset + 3] = 255;
-            }
-        }
-    } else if (bitsPerPixel === 4) {
-        // 4-bit: 2 pixels per byte
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const byteIdx = y * pitch + Math.floor(x / 2);
-                const shift = 4 * (1 - (x % 2));
-                const colorIdx = (data[byteIdx] >> shift) & 0x0F;
-                const [r, g, b] = palette[colorIdx] || [colorIdx * 17, colorIdx * 17, colorIdx * 17];
-                const dstOffset = (y * width + x) * 4;
-                pixels[dstOffset] = r;
-                pixels[dstOffset + 1] = g;
-                pixels[dstOffset + 2] = b;
-                pixels[dstOffset + 3] = 255;
-            }
-        }
-    } else if (bitsPerPixel === 8) {
-        // 8-bit: 1 pixel per byte, indexed color
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const byteIdx = y * pitch + x;
-                const colorIdx = data[byteIdx] || 0;
-                const [r, g, b] = palette[colorIdx] || [colorIdx, colorIdx, colorIdx];
-                const dstOffset = (y * width + x) * 4;
-                pixels[dstOffset] = r;
-                pixels[dstOffset + 1] = g;
-                pixels[dstOffset + 2] = b;
-                pixels[dstOffset + 3] = 255;
-            }
-        }
-    } else if (bitsPerPixel === 16) {
-        // 16-bit RGB555
-        // ScummVM: For compressed data, bytes are interleaved across width
-        if (isCompressed) {
-            // Compressed 16-bit: high bytes first, then low bytes
-            for (let y = 0; y < height; y++) {
-                const rowStart = y * pitch;
-                for (let x = 0; x < width; x++) {
-                    const hi = data[rowStart + x];
-                    const lo = data[rowStart + width + x];
-                    const pixel = (hi << 8) | lo;
-                    // RGB555: xRRRRRGGGGGBBBBB
-                    const r = Math.round(((pixel >> 10) & 0x1F) * 255 / 31);
-                    const g = Math.round(((pixel >> 5) & 0x1F) * 255 / 31);
-                    const b = Math.round((pixel & 0x1F) * 255 / 31);
-                    const dstOffset = (y * width + x) * 4;
-                    pixels[dstOffset] = r;
-                    pixels[dstOffset + 1] = g;
-                    pixels[dstOffset + 2] = b;
-                    pixels[dstOffset + 3] = 255;
-                }
-            }
-        } else {
-            // Uncompressed 16-bit: sequential bytes
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const offset = y * pitch + x * 2;
-                    const pixel = (data[offset] << 8) | data[offset + 1];
-                    const r = Math.round(((pixel >> 10) & 0x1F) * 255 / 31);
-                    const g = Math.round(((pixel >> 5) & 0x1F) * 255 / 31);
-                    const b = Math.round((pixel & 0x1F) * 255 / 31);
-                    const dstOffset = (y * width + x) * 4;
-                    pixels[dstOffset] = r;
-                    pixels[dstOffset + 1] = g;
-                    pixels[dstOffset + 2] = b;
-                    pixels[dstOffset + 3] = 255;
-                }
-            }
-        }
-    } else if (bitsPerPixel === 32) {
-        // 32-bit ARGB
-        // ScummVM: For compressed D4+ data, channels are separated across rows
-        if (isCompressed && version >= 400) {
-            // Compressed 32-bit in D4+: A, R, G, B are in separate row sections
-            for (let y = 0; y < height; y++) {
-                const rowStart = y * pitch;
-                for (let x = 0; x < width; x++) {
-                    // Channels are interleaved: A row, R row, G row, B row
-                    const a = data[rowStart + x];
-                    const r = data[rowStart + width + x];
-                    const g = data[rowStart + width * 2 + x];
-                    const b = data[rowStart + width * 3 + x];
-                    const dstOffset = (y * width + x) * 4;
-                    pixels[dstOffset] = r;
-                    pixels[dstOffset + 1] = g;
-                    pixels[dstOffset + 2] = b;
-                    pixels[dstOffset + 3] = a;
-                }
-            }
-        } else {
-            // Uncompressed or pre-D4: sequential ARGB bytes
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const offset = y * pitch + x * 4;
-                    const a = data[offset] || 255;
-                    const r = data[offset + 1] || 0;
-                    const g = data[offset + 2] || 0;
-                    const b = data[offset + 3] || 0;
-                    const dstOffset = (y * width + x) * 4;
-                    pixels[dstOffset] = r;
-                    pixels[dstOffset + 1] = g;
-                    pixels[dstOffset + 2] = b;
-                    pixels[dstOffset + 3] = a;
-                }
-            }
-        }
-    } else {
-        throw new Error(`Unsupported bit depth: ${bitsPerPixel}`);
-    }
-
-    ctx.putImageData(imageData, 0, 0);
-    canvas.classList.remove('hidden');
-}
-
-// Mac Roman to Unicode mapping for extended characters
-const MAC_ROMAN_MAP = {
-    0x80: '\u00C4', 0x81: '\u00C5', 0x82: '\u00C7', 0x83: '\u00C9',
-    0x84: '\u00D1', 0x85: '\u00D6', 0x86: '\u00DC', 0x87: '\u00E1',
-    0x88: '\u00E0', 0x89: '\u00E2', 0x8A: '\u00E4', 0x8B: '\u00E3',
-    0x8C: '\u00E5', 0x8D: '\u00E7', 0x8E: '\u00E9', 0x8F: '\u00E8',
-    0x90: '\u00EA', 0x91: '\u00EB', 0x92: '\u00ED', 0x93: '\u00EC',
-    0x94: '\u00EE', 0x95: '\u00EF', 0x96: '\u00F1', 0x97: '\u00F3',
-    0x98: '\u00F2', 0x99: '\u00F4', 0x9A: '\u00F6', 0x9B: '\u00F5',
-    0x9C: '\u00FA', 0x9D: '\u00F9', 0x9E: '\u00FB', 0x9F: '\u00FC',
-    0xA0: '\u2020', 0xA1: '\u00B0', 0xA2: '\u00A2', 0xA3: '\u00A3',
-    0xA4: '\u00A7', 0xA5: '\u2022', 0xA6: '\u00B6', 0xA7: '\u00DF',
-    0xA8: '\u00AE', 0xA9: '\u00A9', 0xAA: '\u2122', 0xAB: '\u00B4',
-    0xAC: '\u00A8', 0xAD: '\u2260', 0xAE: '\u00C6', 0xAF: '\u00D8',
-    0xB0: '\u221E', 0xB1: '\u00B1', 0xB2: '\u2264', 0xB3: '\u2265',
-    0xB4: '\u00A5', 0xB5: '\u00B5', 0xB6: '\u2202', 0xB7: '\u2211',
-    0xB8: '\u220F', 0xB9: '\u03C0', 0xBA: '\u222B', 0xBB: '\u00AA',
-    0xBC: '\u00BA', 0xBD: '\u03A9', 0xBE: '\u00E6', 0xBF: '\u00F8',
-    0xC0: '\u00BF', 0xC1: '\u00A1', 0xC2: '\u00AC', 0xC3: '\u221A',
-    0xC4: '\u0192', 0xC5: '\u2248', 0xC6: '\u2206', 0xC7: '\u00AB',
-    0xC8: '\u00BB', 0xC9: '\u2026', 0xCA: '\u00A0', 0xCB: '\u00C0',
-    0xCC: '\u00C3', 0xCD: '\u00D5', 0xCE: '\u0152', 0xCF: '\u0153',
-    0xD0: '\u2013', 0xD1: '\u2014', 0xD2: '\u201C', 0xD3: '\u201D',
-    0xD4: '\u2018', 0xD5: '\u2019', 0xD6: '\u00F7', 0xD7: '\u25CA',
-    0xD8: '\u00FF', 0xD9: '\u0178', 0xDA: '\u2044', 0xDB: '\u20AC',
-    0xDC: '\u2039', 0xDD: '\u203A', 0xDE: '\uFB01', 0xDF: '\uFB02',
-    0xE0: '\u2021', 0xE1: '\u00B7', 0xE2: '\u201A', 0xE3: '\u201E',
-    0xE4: '\u2030', 0xE5: '\u00C2', 0xE6: '\u00CA', 0xE7: '\u00C1',
-    0xE8: '\u00CB', 0xE9: '\u00C8', 0xEA: '\u00CD', 0xEB: '\u00CE',
-    0xEC: '\u00CF', 0xED: '\u00CC', 0xEE: '\u00D3', 0xEF: '\u00D4',
-    0xF0: '\uF8FF', 0xF1: '\u00D2', 0xF2: '\u00DA', 0xF3: '\u00DB',
-    0xF4: '\u00D9', 0xF5: '\u0131', 0xF6: '\u02C6', 0xF7: '\u02DC',
-    0xF8: '\u00AF', 0xF9: '\u02D8', 0xFA: '\u02D9', 0xFB: '\u02DA',
-    0xFC: '\u00B8', 0xFD: '\u02DD', 0xFE: '\u02DB', 0xFF: '\u02C7'
-};
+async function exportRichTextBitmap() {
+    if (!richTextBitmap) return;
 
-function macRomanToUtf8(bytes, start, length) {
-    let result = '';
-    for (let i = start; i < start + length && i < bytes.length; i++) {
-        const byte = bytes[i];
-        if (byte === 0) break; // Null terminator
-        if (byte < 128) {
-            result += String.fromCharCode(byte);
-        } else {
-            result += MAC_ROMAN_MAP[byte] || String.fromCharCode(byte);
-        }
+    try {
+        downloadData(await encodePng(richTextBitmap.image), richTextBitmap.name + '.png', 'image/png');
+    } catch (e) {
+        console.error('Error exporting bitmap:', e);
+        showError('Could not export bitmap: ' + e.message);
     }
-    return result;
 }
 
-function displayText(asset) {
-    const member = asset.member;
+/**
+ * Text members of every kind store text in the authoring platform's
+ * encoding: Mac Roman, or Windows-1252 for movies made on Windows
+ */
+function decodePlatformText(bytes) {
+    return decodeText(bytes, currentDirFile.config ? currentDirFile.config.platform : 0);
+}
 
-    // Try to get text from STXT chunk
-    if (asset.dataChunkId && currentDirFile.chunkExists(FOURCC('S', 'T', 'X', 'T'), asset.dataChunkId)) {
-        try {
-            const stxtData = currentDirFile.getChunkData(FOURCC('S', 'T', 'X', 'T'), asset.dataChunkId);
-            const bytes = toUint8Array(stxtData);
-            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+/**
+ * Show decoded text in the preview, styled when there are runs, and offer
+ * it for HTML and RTF export
+ */
+function showStyledText(asset, text, runs) {
+    const json = parseLingoList(text);
+    styledTextExport = { name: asset.name.replace(/[^a-zA-Z0-9_-]/g, '_'), text, runs, json };
+    exportHtmlBtn.classList.remove('hidden');
+    exportRtfBtn.classList.remove('hidden');
+    if (json !== null) {
+        assetInfo.innerHTML += '<p><strong>Lingo List:</strong> parsed, see View as JSON</p>';
+        assetJson.innerHTML = renderJsonTree(json);
+        viewJsonBtn.textContent = 'View as JSON';
+        viewJsonBtn.classList.remove('hidden');
+        exportJsonBtn.classList.remove('hidden');
+    }
+
+    assetInfo.innerHTML += `<p><strong>Text Length:</strong> ${text.length} characters</p>`;
+    if (runs.length > 0) {
+        assetInfo.innerHTML += `<p><strong>Style Runs:</strong> ${runs.length}</p>`;
+        assetText.innerHTML = renderStyledText(text, runs, currentDirFile.fontMap);
+        assetText.classList.add('styled-text');
+    } else {
+        // Convert Mac line endings (CR) to Unix (LF)
+        assetText.textContent = text.replace(/\r/g, '\n') || '(Empty text)';
+        assetText.classList.remove('styled-text');
+    }
+    assetText.classList.remove('hidden');
+}
+
+function hideTextExports() {
+    styledTextExport = null;
+    richTextBitmap = null;
+    exportHtmlBtn.classList.add('hidden');
+    exportRtfBtn.classList.add('hidden');
+    exportBitmapBtn.classList.add('hidden');
+    viewJsonBtn.classList.add('hidden');
+    exportJsonBtn.classList.add('hidden');
+    assetJson.classList.add('hidden');
+    assetJson.innerHTML = '';
+}
+
+/**
+ * The text as JSON if it is a Lingo list or property list literal,
+ * otherwise null
+ */
+function parseLingoList(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('[')) return null;
 
-            // STXT chunk format:
-            // Offset 0: headerLength (uint32, big-endian)
-            // Offset 4: textLength (uint32, big-endian)
-            // Offset 8: textOffset (relative to start of data after header)
-            // After header: text data, then formatting data
+    try {
+        return JSON.parse(JSON.stringify(parseLingoLiteral(trimmed)));
+    } catch (e) {
+        return null;
+    }
+}
 
-            if (bytes.length >= 12) {
-                const headerLength = view.getUint32(0, false);
-                const textLength = view.getUint32(4, false);
+function renderJsonTree(value, key = null) {
+    const label = key === null ? '' : `<span class="json-key">${escapeHtml(key)}</span>: `;
+    if (value !== null && typeof value === 'object') {
+        const entries = Array.isArray(value) ? value.map((item, i) => [String(i), item]) : Object.entries(value);
+        const count = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+        return `<details open><summary>${label}<span class="json-count">${count}</span></summary>` +
+            entries.map(([k, v]) => renderJsonTree(v, k)).join('') + '</details>';
+    }
+    const type = value === null ? 'null' : typeof value;
+    return `<div class="json-leaf">${label}<span class="json-${type}">${escapeHtml(JSON.stringify(value))}</span></div>`;
+}
 
-                // Text starts after the header
-                const textStart = headerLength;
-                const textEnd = Math.min(textStart + textLength, bytes.length);
+function toggleJsonView() {
+    if (!styledTextExport || styledTextExport.json === null) return;
 
-                // Decode text using Mac Roman encoding
-                let text = macRomanToUtf8(bytes, textStart, textEnd - textStart);
+    const showJson = assetJson.classList.contains('hidden');
+    assetJson.classList.toggle('hidden', !showJson);
+    assetText.classList.toggle('hidden', showJson);
+    viewJsonBtn.textContent = showJson ? 'View as Text' : 'View as JSON';
+}
 
-                // Convert Mac line endings (CR) to Unix (LF)
-                text = text.replace(/\r/g, '\n');
+function exportTextJson() {
+    if (!styledTextExport || styledTextExport.json === null) return;
 
-                assetInfo.innerHTML += `<p><strong>Text Length:</strong> ${textLength} characters</p>`;
+    const { name, json } = styledTextExport;
+    downloadData(new TextEncoder().encode(JSON.stringify(json, null, 2) + '\n'), name + '.json', 'application/json');
+}
 
-                assetText.textContent = text || '(Empty text)';
-                assetText.classList.remove('hidden');
-                return;
-            }
-        } catch (e) {
-            console.error('Error loading text:', e);
-        }
-    }
+function exportStyledTextHtml() {
+    if (!styledTextExport) return;
 
-    // Fall back to displaying raw data
-    displayBinaryData(asset);
+    const { name, text, runs } = styledTextExport;
+    const body = runs.length > 0
+        ? renderStyledText(text, runs, currentDirFile.fontMap)
+        : escapeHtml(text.replace(/\r/g, '\n'));
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(name)}</title>
+</head>
+<body>
+<div style="white-space: pre-wrap; font-family: Geneva, Arial, sans-serif;">${body}</div>
+</body>
+</html>
+`;
+    downloadData(new TextEncoder().encode(html), name + '.html', 'text/html;charset=utf-8');
+}
+
+function exportStyledTextRtf() {
+    if (!styledTextExport) return;
+
+    const { name, text, runs } = styledTextExport;
+    const fontMap = currentDirFile.fontMap;
+    const rtf = styledTextToRtf(text, runs, id => fontMap.resolveFont(id) || 'Geneva');
+    downloadData(new TextEncoder().encode(rtf), name + '.rtf', 'application/rtf');
 }
 
 function displayShape(asset) {
@@ -2111,11 +2472,13 @@ function convertSndToWav(sndBytes) {
 function displaySound(asset) {
     const member = asset.member;
 
-    // Try to load sound data
+    // Try to load sound data; Shockwave Audio is previewed from its MPEG stream
     let soundData = null;
     if (asset.dataChunkId && currentDirFile.chunkExists(FOURCC('s', 'n', 'd', ' '), asset.dataChunkId)) {
         try {
-            soundData = currentDirFile.getChunkData(FOURCC('s', 'n', 'd', ' '), asset.dataChunkId);
+            soundData = currentDirFile.isSndCompressed(asset.dataChunkId)
+                ? currentDirFile.getSoundMpegData(asset.dataChunkId)
+                : currentDirFile.getChunkData(FOURCC('s', 'n', 'd', ' '), asset.dataChunkId);
         } catch (e) {
             console.error('Error loading sound chunk:', e);
         }
@@ -2136,6 +2499,18 @@ function displaySound(asset) {
         <p><strong>Size:</strong> ${soundBytes.length.toLocaleString()} bytes</p>
     `;
 
+    if (currentDirFile.isSndCompressed(asset.dataChunkId)) {
+        assetInfo.innerHTML += `<p><strong>Compression:</strong> Shockwave Audio</p>`;
+        const mpegHeader = parseMpegFrameHeader(soundBytes, 0);
+        if (mpegHeader) {
+            assetInfo.innerHTML += `
+                <p><strong>Sample Rate:</strong> ${mpegHeader.sampleRate} Hz</p>
+                <p><strong>Channels:</strong> ${mpegHeader.channels}</p>
+                <p><strong>Bitrate:</strong> ${mpegHeader.bitrate / 1000} kbps</p>
+            `;
+        }
+    }
+
     // Store format info for download
     asset.soundFormat = formatInfo;
 
@@ -2219,6 +2594,18 @@ function displayFilmLoop(asset) {
 
     assetInfo.innerHTML += `<p><strong>Type:</strong> Film Loop (animated sequence)</p>`;
 
+    let filmLoop = null;
+    try {
+        filmLoop = loadFilmLoop(currentDirFile, member);
+    } catch (e) {
+        console.error('Error loading film loop score:', e);
+        assetInfo.innerHTML += `<p><strong>Note:</strong> Could not read film loop score: ${escapeHtml(e.message)}</p>`;
+    }
+    if (filmLoop && filmLoop.frameCount > 0) {
+        playFilmLoop(asset, filmLoop);
+        return;
+    }
+
     if (member.specificData && member.specificData.length >= 4) {
         const bytes = toUint8Array(member.specificData);
         const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
@@ -2237,6 +2624,155 @@ function displayFilmLoop(asset) {
     displayBinaryData(asset);
 }
 
+function getStageRenderer() {
+    if (!stageRenderer) {
+        stageRenderer = new StageRenderer(currentDirFile);
+    }
+    return stageRenderer;
+}
+
+// The movie's default tempo, used until the score sets one
+function movieFrameRate() {
+    const frameRate = currentDirFile && currentDirFile.config ? currentDirFile.config.frameRate : 0;
+    return frameRate > 0 ? frameRate : 15;
+}
+
+function playFilmLoop(asset, filmLoop) {
+    const renderer = getStageRenderer();
+    const images = [];
+    const skipped = new Set();
+    for (let frame = 1; frame <= filmLoop.frameCount; frame++) {
+        images.push(renderer.composeFilmLoopFrame(filmLoop, frame));
+        renderer.skipped.forEach(entry => skipped.add(entry.channel));
+    }
+
+    assetInfo.innerHTML += `
+        <p><strong>Frames:</strong> ${filmLoop.frameCount}</p>
+        <p><strong>Size:</strong> ${filmLoop.width} x ${filmLoop.height}</p>
+        <p><strong>Loops:</strong> ${filmLoop.looping ? 'Yes' : 'No'}${filmLoop.sound ? ', with sound' : ''}</p>
+    `;
+    if (skipped.size > 0) {
+        assetInfo.innerHTML += `<p><strong>Not drawn:</strong> sprite ${Array.from(skipped).join(', ')}</p>`;
+    }
+
+    filmLoopPlayback = {
+        name: asset.name.replace(/[^a-zA-Z0-9_-]/g, '_'),
+        images,
+        durations: filmLoop.score.frameDurations(movieFrameRate()),
+        looping: filmLoop.looping,
+        frame: 0,
+        timer: null
+    };
+
+    assetCanvas.width = filmLoop.width;
+    assetCanvas.height = filmLoop.height;
+    assetCanvas.classList.remove('hidden');
+    filmLoopControls.classList.remove('hidden');
+    exportGifBtn.classList.remove('hidden');
+    exportPngBtn.classList.remove('hidden');
+    showFilmLoopFrame();
+    filmLoopPlayBtn.textContent = 'Pause';
+    scheduleFilmLoopFrame();
+}
+
+function showFilmLoopFrame() {
+    const { images, frame } = filmLoopPlayback;
+    const image = images[frame];
+    assetCanvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    filmLoopFrame.textContent = `Frame ${frame + 1} of ${images.length}`;
+}
+
+function scheduleFilmLoopFrame() {
+    const playback = filmLoopPlayback;
+    playback.timer = setTimeout(() => {
+        if (playback.frame + 1 >= playback.images.length && !playback.looping) {
+            playback.timer = null;
+            filmLoopPlayBtn.textContent = 'Play';
+            return;
+        }
+        playback.frame = (playback.frame + 1) % playback.images.length;
+        showFilmLoopFrame();
+        scheduleFilmLoopFrame();
+    }, playback.durations[playback.frame]);
+}
+
+function toggleFilmLoopPlayback() {
+    if (!filmLoopPlayback) return;
+
+    if (filmLoopPlayback.timer) {
+        clearTimeout(filmLoopPlayback.timer);
+        filmLoopPlayback.timer = null;
+        filmLoopPlayBtn.textContent = 'Play';
+    } else {
+        if (filmLoopPlayback.frame + 1 >= filmLoopPlayback.images.length && !filmLoopPlayback.looping) {
+            filmLoopPlayback.frame = 0;
+            showFilmLoopFrame();
+        }
+        filmLoopPlayBtn.textContent = 'Pause';
+        scheduleFilmLoopFrame();
+    }
+}
+
+function stopFilmLoop() {
+    if (filmLoopPlayback && filmLoopPlayback.timer) {
+        clearTimeout(filmLoopPlayback.timer);
+    }
+    filmLoopPlayback = null;
+    filmLoopControls.classList.add('hidden');
+    exportGifBtn.classList.add('hidden');
+    exportPngBtn.classList.add('hidden');
+}
+
+function exportFilmLoopGif() {
+    if (!filmLoopPlayback) return;
+
+    const { images, durations, looping, name } = filmLoopPlayback;
+    const gif = new GifEncoder(images[0].width, images[0].height, looping);
+    images.forEach((image, i) => gif.addFrame(image, durations[i]));
+    downloadData(gif.finish(), name + '.gif', 'image/gif');
+}
+
+async function exportFilmLoopPngs() {
+    if (!filmLoopPlayback) return;
+
+    const { images, name } = filmLoopPlayback;
+    try {
+        downloadData(await zipPngSequence(images, name), name + '-frames.zip', 'application/zip');
+    } catch (e) {
+        console.error('Error exporting PNG sequence:', e);
+        showError('Could not export PNG sequence: ' + e.message);
+    }
+}
+
+// Encode RGBA images as numbered PNGs in a zip
+async function zipPngSequence(images, baseName) {
+    const digits = Math.max(3, String(images.length).length);
+    const files = [];
+    for (let i = 0; i < images.length; i++) {
+        files.push({
+            name: `${baseName}-${String(i + 1).padStart(digits, '0')}.png`,
+            data: await encodePng(images[i])
+        });
+    }
+    return createZip(files);
+}
+
+function encodePng(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('PNG encoding failed'));
+                return;
+            }
+            blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+        }, 'image/png');
+    });
+}
+
 function displayBinaryData(asset) {
     const member = asset.member;
 
@@ -2251,6 +2787,11 @@ function displayBinaryData(asset) {
 }
 
 function displayHexDump(bytes, maxBytes) {
+    assetBinary.innerHTML = hexDumpHtml(bytes, maxBytes);
+    assetBinary.classList.remove('hidden');
+}
+
+function hexDumpHtml(bytes, maxBytes) {
     const limit = Math.min(bytes.length, maxBytes);
     let html = '';
 
@@ -2280,8 +2821,7 @@ function displayHexDump(bytes, maxBytes) {
         html += `<div class="hex-row"><span class="hex-offset">...</span><span class="hex-bytes">${bytes.length - maxBytes} more bytes</span></div>`;
     }
 
-    assetBinary.innerHTML = html;
-    assetBinary.classList.remove('hidden');
+    return html;
 }
 
 function copyCode() {
@@ -2307,12 +2847,27 @@ function downloadAsset() {
     let filename = selectedAsset.name.replace(/[^a-zA-Z0-9_-]/g, '_');
     let mimeType = 'application/octet-stream';
 
+    // Shockwave Audio is exported as decoded PCM
+    if (selectedAsset.type === MemberType.kSoundMember && selectedAsset.dataChunkId &&
+        currentDirFile.isSndCompressed(selectedAsset.dataChunkId)) {
+        try {
+            const mpegData = toUint8Array(currentDirFile.getSoundMpegData(selectedAsset.dataChunkId));
+            downloadMp3AsWav(mpegData, filename + '.wav');
+        } catch (e) {
+            console.error('Error getting asset data:', e);
+            alert('Could not read Shockwave Audio: ' + e.message);
+        }
+        return;
+    }
+
     // Try to get the actual asset data
     if (selectedAsset.dataChunkId) {
         const chunkFourCCs = {
             [MemberType.kBitmapMember]: FOURCC('B', 'I', 'T', 'D'),
             [MemberType.kSoundMember]: FOURCC('s', 'n', 'd', ' '),
             [MemberType.kTextMember]: FOURCC('S', 'T', 'X', 'T'),
+            [MemberType.kRTEMember]: FOURCC('R', 'T', 'E', '0'),
+            [MemberType.kXtraMember]: FOURCC('X', 'M', 'E', 'D'),
         };
 
         const fourCC = chunkFourCCs[selectedAsset.type];
@@ -2338,10 +2893,37 @@ function downloadAsset() {
                             mimeType = formatInfo.mimeType;
                         }
                         break;
-                    case MemberType.kTextMember:
+                    case MemberType.kTextMember: {
+                        // Just the text, as UTF-8 with Unix line endings
+                        const { textBytes } = currentDirFile.readStyledText(selectedAsset.dataChunkId);
+                        const text = decodePlatformText(textBytes).replace(/\r/g, '\n');
+                        data = new TextEncoder().encode(text);
+                        filename += '.txt';
+                        mimeType = 'text/plain;charset=utf-8';
+                        break;
+                    }
+                    case MemberType.kRTEMember: {
+                        const richText = loadRichText(currentDirFile, member);
+                        if (!richText || !richText.textBytes) {
+                            filename += '.rte0';
+                            break;
+                        }
+                        data = new TextEncoder().encode(decodePlatformText(richText.textBytes).replace(/\r/g, '\n'));
+                        filename += '.txt';
+                        mimeType = 'text/plain;charset=utf-8';
+                        break;
+                    }
+                    case MemberType.kXtraMember: {
+                        const { textBytes } = parseXmed(chunkData);
+                        if (!textBytes) {
+                            filename += '.xmed';
+                            break;
+                        }
+                        data = new TextEncoder().encode(decodePlatformText(textBytes).replace(/\r/g, '\n'));
                         filename += '.txt';
-                        mimeType = 'text/plain';
+                        mimeType = 'text/plain;charset=utf-8';
                         break;
+                    }
                 }
             } catch (e) {
                 console.error('Error getting asset data:', e);
@@ -2371,6 +2953,76 @@ function downloadAsset() {
     URL.revokeObjectURL(url);
 }
 
+// Decode an MPEG audio stream with Web Audio, resampled to sampleRate
+// (the stream's own rate by default). Resolves to { sampleRate, channels }.
+async function decodeMpegAudio(mpegBytes, sampleRate = null) {
+    const frameHeader = parseMpegFrameHeader(mpegBytes, 0);
+    const rate = sampleRate || (frameHeader ? frameHeader.sampleRate : 44100);
+    const audioContext = new OfflineAudioContext(frameHeader ? frameHeader.channels : 2, 1, rate);
+    const audioBuffer = await audioContext.decodeAudioData(mpegBytes.slice().buffer);
+
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+    return { sampleRate: audioBuffer.sampleRate, channels };
+}
+
+// Decode an MPEG audio stream and save it as 16-bit WAV
+async function downloadMp3AsWav(mp3Bytes, filename) {
+    try {
+        const { sampleRate, channels } = await decodeMpegAudio(mp3Bytes);
+        const numChannels = channels.length;
+        const length = channels[0].length;
+
+        // Interleave channels as signed 16-bit little-endian samples
+        const pcmData = new Uint8Array(length * numChannels * 2);
+        const pcmView = new DataView(pcmData.buffer);
+        let offset = 0;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < numChannels; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i]));
+                pcmView.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+
+        downloadData(encodeWav(pcmData, sampleRate, numChannels, 16), filename, 'audio/wav');
+    } catch (e) {
+        console.error('Error decoding Shockwave Audio:', e);
+        alert('Could not decode Shockwave Audio for WAV export');
+    }
+}
+
+// Wrap little-endian PCM sample data in a WAV container
+function encodeWav(pcmData, sampleRate, numChannels, bitsPerSample) {
+    const bytesPerSample = bitsPerSample / 8;
+    const wavBytes = new Uint8Array(44 + pcmData.length);
+    const wavView = new DataView(wavBytes.buffer);
+
+    // RIFF header
+    wavBytes.set([0x52, 0x49, 0x46, 0x46], 0); // 'RIFF'
+    wavView.setUint32(4, wavBytes.length - 8, true);
+    wavBytes.set([0x57, 0x41, 0x56, 0x45], 8); // 'WAVE'
+
+    // fmt chunk
+    wavBytes.set([0x66, 0x6D, 0x74, 0x20], 12); // 'fmt '
+    wavView.setUint32(16, 16, true); // Chunk size
+    wavView.setUint16(20, 1, true); // Audio format (PCM)
+    wavView.setUint16(22, numChannels, true);
+    wavView.setUint32(24, sampleRate, true);
+    wavView.setUint32(28, sampleRate * numChannels * bytesPerSample, true); // Byte rate
+    wavView.setUint16(32, numChannels * bytesPerSample, true); // Block align
+    wavView.setUint16(34, bitsPerSample, true);
+
+    // data chunk
+    wavBytes.set([0x64, 0x61, 0x74, 0x61], 36); // 'data'
+    wavView.setUint32(40, pcmData.length, true);
+    wavBytes.set(pcmData, 44);
+
+    return wavBytes;
+}
+
 function downloadFile() {
     if (!currentFile || !currentFileBuffer) return;
 
@@ -2385,6 +3037,31 @@ function downloadFile() {
     URL.revokeObjectURL(url);
 }
 
+// Write the movie back out as an editable DIR/CST with restored script source
+async function downloadDecompiledFile() {
+    if (!currentFile || !currentDirFile) return;
+
+    try {
+        currentDirFile.restoreScriptText();
+        currentDirFile.config.unprotect();
+        // Shockwave Audio is written back as the uncompressed snd it was made from
+        await currentDirFile.decodeCompressedSounds(decodeMpegAudio);
+        const data = currentDirFile.writeToBuffer();
+
+        const baseName = currentFile.name.replace(/\.[^.]*$/, '');
+        const ext = currentDirFile.isCast() ? '.cst' : '.dir';
+        downloadData(data, baseName + ext, 'application/octet-stream');
+
+        if (currentDirFile.unwrittenChunkIDs.length > 0) {
+            alert("The movie's font map (FXmp) only refers to Director's default map, which is not " +
+                'stored in the file, so it was left out.');
+        }
+    } catch (error) {
+        console.error('Error writing Director file:', error);
+        showError(error.message || 'Failed to write Director file');
+    }
+}
+
 function clearFile() {
     currentFile = null;
     currentFileBuffer = null;
@@ -2393,10 +3070,32 @@ function clearFile() {
     assets = [];
     selectedScript = null;
     selectedAsset = null;
+    infoSections = [];
+    selectedInfo = null;
+    chunkEntries = [];
+    selectedChunk = null;
+    scoreSpans = [];
+    stageRenderer = null;
+    hideStageFrame();
+    stopFilmLoop();
+    hideTextExports();
 
     fileInput.value = '';
     scriptList.innerHTML = '';
     assetList.innerHTML = '';
+    infoList.innerHTML = '';
+    infoContent.innerHTML = '';
+    currentInfoName.textContent = 'Select an item';
+    chunkList.innerHTML = '';
+    chunkSearch.value = '';
+    chunkInfo.innerHTML = '';
+    chunkView.innerHTML = '';
+    currentChunkName.textContent = 'Select a chunk';
+    downloadChunkBtn.classList.add('hidden');
+    scoreSummary.textContent = '';
+    markerList.innerHTML = '';
+    scoreGrid.innerHTML = '';
+    currentScoreName.textContent = 'Score';
     codeDisplay.textContent = '';
     currentScriptName.textContent = 'Select a script';
     currentAssetName.textContent = 'Select an asset';
@@ -2410,6 +3109,9 @@ function clearFile() {
     hideFileInfo();
     hideContent();
     hideError();
+    hideVerifyResults();
+    hideDiagnostics();
+    hideProjector();
 
     // Reset to scripts tab and Lingo view
     switchTab('scripts');
@@ -2434,6 +3136,65 @@ function hideError() {
     errorSection.classList.add('hidden');
 }
 
+function showVerifyResults(dirFile) {
+    verifyList.innerHTML = '';
+    if (!dirFile.verifyRoundTrip) {
+        verifySection.classList.add('hidden');
+        return;
+    }
+
+    const mismatches = dirFile.roundTripMismatches;
+    const unverified = dirFile.roundTripUnverified;
+    verifySummary.textContent = `${dirFile.roundTripChecked} chunks re-serialized, ${mismatches.length} mismatched`;
+    if (unverified.length > 0) {
+        const fourCCs = [...new Set(unverified.map(chunk => `'${chunk.fourCC}'`))].join(', ');
+        verifySummary.textContent += `, ${unverified.length} not verified (${fourCCs} are written back as read)`;
+    }
+    for (const mismatch of mismatches) {
+        const li = document.createElement('li');
+        const sizes = mismatch.actualSize >= 0 ? ` (${mismatch.expectedSize} -> ${mismatch.actualSize} bytes)` : '';
+        li.textContent = `'${mismatch.fourCC}' #${mismatch.id}: ${mismatch.message}${sizes}`;
+        verifyList.appendChild(li);
+    }
+    verifySection.classList.toggle('has-mismatches', mismatches.length > 0);
+    verifySection.classList.remove('hidden');
+}
+
+function hideVerifyResults() {
+    verifySection.classList.add('hidden');
+    verifyList.innerHTML = '';
+}
+
+function showDiagnostics(dirFile) {
+    diagnosticsBody.innerHTML = '';
+    const diagnostics = dirFile.diagnostics;
+    if (diagnostics.length === 0) {
+        diagnosticsSection.classList.add('hidden');
+        return;
+    }
+
+    const outcome = dirFile.recoveryMode ? 'loaded what could be recovered' : 'loading stopped';
+    diagnosticsSummary.textContent = `${diagnostics.length} problem(s) found; ${outcome}.`;
+    for (const diagnostic of diagnostics) {
+        const row = diagnostic.toJSON();
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${escapeHtml(row.stage)}</td>
+            <td>${row.id >= 0 ? row.id : ''}</td>
+            <td>${escapeHtml(row.fourCC)}</td>
+            <td>${row.offset >= 0 ? '0x' + row.offset.toString(16) : ''}</td>
+            <td>${escapeHtml(row.message)}</td>
+        `;
+        diagnosticsBody.appendChild(tr);
+    }
+    diagnosticsSection.classList.remove('hidden');
+}
+
+function hideDiagnostics() {
+    diagnosticsSection.classList.add('hidden');
+    diagnosticsBody.innerHTML = '';
+}
+
 function dismissError() {
     hideError();
 }
@@ -2449,36 +3210,55 @@ function hideContent() {
 function showFileInfo(name) {
     fileName.textContent = name;
     downloadBtn.classList.remove('hidden');
+    downloadDirBtn.textContent = currentDirFile && currentDirFile.isCast() ? 'Download as CST' : 'Download as DIR';
+    // Resource-fork movies predate RIFX and can't be written back out as one
+    downloadDirBtn.classList.toggle('hidden', !currentDirFile || !!currentDirFile.resourceFork);
+    showMacFileInfo(currentDirFile && currentDirFile.macFile);
     fileInfo.classList.remove('hidden');
     dropZone.classList.add('hidden');
 }
 
+function showMacFileInfo(macFile) {
+    if (!macFile) {
+        macFileInfo.textContent = '';
+        macFileInfo.classList.add('hidden');
+        return;
+    }
+
+    const parts = [macFile.format];
+    if (macFile.fileType || macFile.creator) {
+        parts.push(`type '${macFile.fileType}', creator '${macFile.creator}'`);
+    }
+    parts.push(macFile.resourceFork
+        ? `resource fork ${macFile.resourceFork.length.toLocaleString()} bytes`
+        : 'no resource fork');
+    macFileInfo.textContent = parts.join(' - ');
+    macFileInfo.classList.remove('hidden');
+}
+
 function hideFileInfo() {
     fileInfo.classList.add('hidden');
     dropZone.classList.remove('hidden');
 }
 
 // Utility
+function downloadData(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
     return div.innerHTML;
 }
 
-function toUint8Array(data) {
-    if (data instanceof Uint8Array) {
-        return data;
-    }
-    if (data.buffer && data.byteOffset !== undefined) {
-        // BufferView
-        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
-    }
-    if (data instanceof ArrayBuffer) {
-        return new Uint8Array(data);
-    }
-    // Fallback
-    return new Uint8Array(data.buffer || data);
-}
-
 // Start the application
 init();
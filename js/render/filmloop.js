@@ -0,0 +1,60 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { FOURCC } from '../lingodec/enums.js';
+import { toUint8Array } from '../stream.js';
+
+/**
+ * Parse film loop specific data (Director 4+): the loop's rect followed by
+ * its playback flags. Returns null for older or short data.
+ */
+export function parseFilmLoopMemberData(specificData, version) {
+    if (!specificData || version < 400) return null;
+
+    const bytes = toUint8Array(specificData);
+    if (bytes.length < 12) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const rect = {
+        top: view.getInt16(0, false),
+        left: view.getInt16(2, false),
+        bottom: view.getInt16(4, false),
+        right: view.getInt16(6, false)
+    };
+    const flags = view.getUint32(8, false);
+    return {
+        rect,
+        center: (flags & 0x01) !== 0,
+        crop: (flags & 0x02) === 0,
+        sound: (flags & 0x08) !== 0,
+        looping: (flags & 0x20) === 0
+    };
+}
+
+/**
+ * Load a film loop member's score. Returns null if the member has no SCVW.
+ */
+export function loadFilmLoop(dirFile, member) {
+    const scvwID = dirFile.findMemberDataChunk(member.id, member, FOURCC('S', 'C', 'V', 'W'));
+    if (scvwID === null) return null;
+
+    const score = dirFile.getChunk(FOURCC('S', 'C', 'V', 'W'), scvwID);
+    const info = parseFilmLoopMemberData(member.specificData, dirFile.version);
+    const hasRect = info && info.rect.right > info.rect.left && info.rect.bottom > info.rect.top;
+    const rect = hasRect ? info.rect : score.bounds;
+
+    return {
+        score,
+        rect,
+        width: Math.max(rect.right - rect.left, 1),
+        height: Math.max(rect.bottom - rect.top, 1),
+        frameCount: score.frameCount,
+        looping: info ? info.looping : true,
+        center: info ? info.center : false,
+        crop: info ? info.crop : true,
+        sound: info ? info.sound : false
+    };
+}
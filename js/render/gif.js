@@ -0,0 +1,260 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Animated GIF encoder for RGBA images ({ width, height, data }).
+ *
+ * Frames are encoded as they are added, so a long range never has to be
+ * held in memory. Each frame gets its own colour table: most Director
+ * content is 8-bit and fits 256 colours exactly, and anything with more is
+ * mapped onto a 6x7x6 colour cube. Pixels with alpha below 128 become
+ * transparent.
+ */
+
+const kMaxColors = 256;
+const kMinCodeSize = 8;
+const kMaxCode = 4096;
+
+function colorKey(data, offset) {
+    return (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+}
+
+function buildPalette(image) {
+    const colors = new Map();
+    let hasTransparency = false;
+    let exact = true;
+
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) {
+            hasTransparency = true;
+            continue;
+        }
+        if (!exact) continue;
+        const key = colorKey(data, i);
+        if (!colors.has(key)) {
+            colors.set(key, colors.size);
+            if (colors.size > kMaxColors - 1) exact = false;
+        }
+    }
+
+    const table = [];
+    let lookup;
+    if (exact) {
+        for (const key of colors.keys()) {
+            table.push([(key >> 16) & 0xFF, (key >> 8) & 0xFF, key & 0xFF]);
+        }
+        lookup = key => colors.get(key);
+    } else {
+        for (let r = 0; r < 6; r++) {
+            for (let g = 0; g < 7; g++) {
+                for (let b = 0; b < 6; b++) {
+                    table.push([Math.round(r * 255 / 5), Math.round(g * 255 / 6), Math.round(b * 255 / 5)]);
+                }
+            }
+        }
+        lookup = key => {
+            const r = Math.round(((key >> 16) & 0xFF) * 5 / 255);
+            const g = Math.round(((key >> 8) & 0xFF) * 6 / 255);
+            const b = Math.round((key & 0xFF) * 5 / 255);
+            return (r * 7 + g) * 6 + b;
+        };
+    }
+
+    const transparentIndex = hasTransparency ? table.length : -1;
+    if (hasTransparency) table.push([0, 0, 0]);
+    while (table.length < kMaxColors) table.push([0, 0, 0]);
+    return { table, lookup, transparentIndex };
+}
+
+function indexFrame(image, palette) {
+    const data = image.data;
+    const indices = new Uint8Array(image.width * image.height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        indices[p] = data[i + 3] < 128 ? palette.transparentIndex : palette.lookup(colorKey(data, i));
+    }
+    return indices;
+}
+
+/**
+ * A byte buffer that doubles as it fills
+ */
+class ByteBuffer {
+    constructor(capacity = 65536) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    push(...values) {
+        this.reserve(values.length);
+        for (const value of values) this.bytes[this.length++] = value;
+    }
+
+    writeUint16(value) {
+        this.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    writeString(str) {
+        for (const c of str) this.push(c.charCodeAt(0));
+    }
+
+    set(bytes) {
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * LZW-compress frame indices straight into the output as 255-byte sub-blocks
+ */
+function lzwEncode(indices, out) {
+    const clearCode = 1 << kMinCodeSize;
+    const endCode = clearCode + 1;
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let codeSize = kMinCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bits = 0;
+    let bitCount = 0;
+
+    const flush = () => {
+        out.push(blockLength);
+        out.set(block.subarray(0, blockLength));
+        blockLength = 0;
+    };
+    const writeByte = byte => {
+        block[blockLength++] = byte;
+        if (blockLength === block.length) flush();
+    };
+    const emit = code => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            writeByte(bits & 0xFF);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === kMaxCode) {
+            emit(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = kMinCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) writeByte(bits & 0xFF);
+    if (blockLength > 0) flush();
+    out.push(0);
+}
+
+/**
+ * GifEncoder - Builds a GIF89a one frame at a time. All frames must be the
+ * size given to the constructor.
+ */
+export class GifEncoder {
+    constructor(width, height, loop = true) {
+        this.width = width;
+        this.height = height;
+        this.frameCount = 0;
+        // GIF delays are in hundredths of a second; what rounding loses is
+        // carried to the next frame so the total running time stays right
+        this.delayRemainder = 0;
+
+        this.out = new ByteBuffer();
+        this.out.writeString('GIF89a');
+        this.out.writeUint16(width);
+        this.out.writeUint16(height);
+        // No global colour table; every frame has its own
+        this.out.push(0, 0, 0);
+
+        if (loop) {
+            this.out.push(0x21, 0xFF, 11);
+            this.out.writeString('NETSCAPE2.0');
+            this.out.push(3, 1, 0, 0, 0);
+        }
+    }
+
+    /**
+     * Add a frame shown for delay milliseconds
+     */
+    addFrame(image, delay) {
+        if (image.width !== this.width || image.height !== this.height) {
+            throw new Error('GIF frames must all be ' + this.width + ' x ' + this.height);
+        }
+
+        const exact = delay / 10 + this.delayRemainder;
+        const centiseconds = Math.max(2, Math.round(exact));
+        this.delayRemainder = exact - centiseconds;
+
+        const palette = buildPalette(image);
+        const hasTransparency = palette.transparentIndex >= 0;
+        const out = this.out;
+
+        // Graphic control: clear to transparent after each frame, since the
+        // next one may have transparent pixels of its own
+        out.push(0x21, 0xF9, 4, (2 << 2) | (hasTransparency ? 1 : 0));
+        out.writeUint16(centiseconds);
+        out.push(hasTransparency ? palette.transparentIndex : 0, 0);
+
+        // Image descriptor with a local colour table of 256 entries
+        out.push(0x2C);
+        out.writeUint16(0);
+        out.writeUint16(0);
+        out.writeUint16(this.width);
+        out.writeUint16(this.height);
+        out.push(0x87);
+        for (const [r, g, b] of palette.table) out.push(r, g, b);
+
+        out.push(kMinCodeSize);
+        lzwEncode(indexFrame(image, palette), out);
+        this.frameCount++;
+    }
+
+    /**
+     * The finished GIF
+     */
+    finish() {
+        if (this.frameCount === 0) {
+            throw new Error('No frames to encode');
+        }
+        this.out.push(0x3B);
+        return this.out.toUint8Array();
+    }
+}
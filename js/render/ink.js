@@ -0,0 +1,250 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Director sprite inks.
+ *
+ * Everything here works on plain RGBA images ({ width, height, data }) so it
+ * runs the same in the browser and headlessly. The pixel rules follow
+ * ScummVM's Director engine: indexed-colour bit operations are done on the
+ * RGB values, where white is all ones and black all zeroes.
+ */
+
+export const Ink = {
+    kCopy: 0,
+    kTransparent: 1,
+    kReverse: 2,
+    kGhost: 3,
+    kNotCopy: 4,
+    kNotTransparent: 5,
+    kNotReverse: 6,
+    kNotGhost: 7,
+    kMatte: 8,
+    kMask: 9,
+    kBlend: 32,
+    kAddPin: 33,
+    kAdd: 34,
+    kSubtractPin: 35,
+    kBackgroundTransparent: 36,
+    kLightest: 37,
+    kSubtract: 38,
+    kDarkest: 39,
+    kLighten: 40,
+    kDarken: 41
+};
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+export function createImage(width, height) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+export function fillImage(image, [r, g, b]) {
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 255;
+    }
+}
+
+/**
+ * Nearest-neighbour resize, used for stretched sprites
+ */
+export function scaleImage(image, width, height) {
+    if (image.width === width && image.height === height) return image;
+
+    const result = createImage(width, height);
+    for (let y = 0; y < height; y++) {
+        const srcY = Math.floor(y * image.height / height);
+        for (let x = 0; x < width; x++) {
+            const srcX = Math.floor(x * image.width / width);
+            const src = (srcY * image.width + srcX) * 4;
+            const dst = (y * width + x) * 4;
+            result.data[dst] = image.data[src];
+            result.data[dst + 1] = image.data[src + 1];
+            result.data[dst + 2] = image.data[src + 2];
+            result.data[dst + 3] = image.data[src + 3];
+        }
+    }
+    return result;
+}
+
+function matchesColor(data, offset, [r, g, b]) {
+    return data[offset] === r && data[offset + 1] === g && data[offset + 2] === b;
+}
+
+/**
+ * Matte ink: pixels of the key colour that can be reached from the edge of
+ * the image are see-through. Returns 1 for opaque pixels.
+ */
+export function matteMask(image, keyColor = WHITE) {
+    const { width, height, data } = image;
+    const mask = new Uint8Array(width * height).fill(1);
+    const stack = [];
+
+    const visit = (x, y) => {
+        const index = y * width + x;
+        if (mask[index] && matchesColor(data, index * 4, keyColor)) {
+            mask[index] = 0;
+            stack.push(index);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x, 0);
+        visit(x, height - 1);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(0, y);
+        visit(width - 1, y);
+    }
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+        if (x > 0) visit(x - 1, y);
+        if (x < width - 1) visit(x + 1, y);
+        if (y > 0) visit(x, y - 1);
+        if (y < height - 1) visit(x, y + 1);
+    }
+    return mask;
+}
+
+/**
+ * Mask ink: the black pixels of the mask member (the next member in the
+ * cast) are opaque. Returns 1 for opaque pixels.
+ */
+export function maskFromImage(maskImage, width, height) {
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < Math.min(height, maskImage.height); y++) {
+        for (let x = 0; x < Math.min(width, maskImage.width); x++) {
+            const src = (y * maskImage.width + x) * 4;
+            const luma = (maskImage.data[src] + maskImage.data[src + 1] + maskImage.data[src + 2]) / 3;
+            mask[y * width + x] = luma < 128 ? 1 : 0;
+        }
+    }
+    return mask;
+}
+
+/**
+ * Combine one source channel value (s) with the stage (d)
+ */
+function inkChannel(ink, s, d, fore, back) {
+    switch (ink) {
+        case Ink.kTransparent:
+            return s & d;
+        case Ink.kReverse:
+            return d ^ (~s & 0xFF);
+        case Ink.kGhost:
+            return d | (~s & 0xFF);
+        case Ink.kNotCopy:
+            return ~s & 0xFF;
+        case Ink.kNotTransparent:
+            return (~s & 0xFF) & d;
+        case Ink.kNotReverse:
+            return d ^ s;
+        case Ink.kNotGhost:
+            return d | s;
+        case Ink.kAddPin:
+            return Math.min(d + s, 255);
+        case Ink.kAdd:
+            return (d + s) & 0xFF;
+        case Ink.kSubtractPin:
+            return Math.max(d - s, 0);
+        case Ink.kSubtract:
+            return (d - s) & 0xFF;
+        case Ink.kLightest:
+            return Math.max(d, s);
+        case Ink.kDarkest:
+            return Math.min(d, s);
+        case Ink.kLighten:
+            // The back colour screens the sprite, then the fore colour is added
+            return Math.min(s + (255 - s) * back / 255 + fore, 255);
+        case Ink.kDarken:
+            // The back colour filters the sprite, then the fore colour is added
+            return Math.min(s * back / 255 + fore, 255);
+        default:
+            return s;
+    }
+}
+
+// Inks that skip source pixels of the background colour. The Not inks
+// draw those pixels once inverted and leave the stage alone where the
+// source is the inverse of the background, so they are not in this set.
+const BACKGROUND_TRANSPARENT_INKS = new Set([
+    Ink.kTransparent, Ink.kReverse, Ink.kGhost, Ink.kBackgroundTransparent
+]);
+
+/**
+ * Draw a sprite image onto the stage image at (x, y) using a Director ink.
+ *
+ * options:
+ *   ink       - one of Ink (default Copy)
+ *   blend     - blend percentage, 0-100 (default 100)
+ *   foreColor - [r, g, b] the sprite's foreground colour (default black)
+ *   backColor - [r, g, b] the sprite's background colour (default white)
+ *   colorize  - map black/white source pixels to the fore/back colours,
+ *               as Director does for 1-bit bitmaps
+ *   mask      - opaque mask (1 per pixel) for Mask ink; Matte is used without one
+ */
+export function applyInk(stage, sprite, x, y, options = {}) {
+    const ink = options.ink || Ink.kCopy;
+    const blend = Math.max(0, Math.min(options.blend ?? 100, 100)) / 100;
+    const foreColor = options.foreColor || BLACK;
+    const backColor = options.backColor || WHITE;
+
+    let mask = null;
+    if (ink === Ink.kMatte || (ink === Ink.kMask && !options.mask)) {
+        mask = matteMask(sprite, options.colorize ? WHITE : backColor);
+    } else if (ink === Ink.kMask) {
+        mask = options.mask;
+    }
+    const skipBackground = BACKGROUND_TRANSPARENT_INKS.has(ink);
+
+    const src = sprite.data;
+    const dst = stage.data;
+    const startX = Math.max(0, -x);
+    const startY = Math.max(0, -y);
+    const endX = Math.min(sprite.width, stage.width - x);
+    const endY = Math.min(sprite.height, stage.height - y);
+    const color = [0, 0, 0];
+
+    for (let sy = startY; sy < endY; sy++) {
+        for (let sx = startX; sx < endX; sx++) {
+            const pixel = sy * sprite.width + sx;
+            if (mask && !mask[pixel]) continue;
+
+            const srcOffset = pixel * 4;
+            const alpha = src[srcOffset + 3] / 255;
+            if (alpha === 0) continue;
+
+            color[0] = src[srcOffset];
+            color[1] = src[srcOffset + 1];
+            color[2] = src[srcOffset + 2];
+            if (options.colorize) {
+                if (matchesColor(color, 0, BLACK)) {
+                    color[0] = foreColor[0]; color[1] = foreColor[1]; color[2] = foreColor[2];
+                } else if (matchesColor(color, 0, WHITE)) {
+                    color[0] = backColor[0]; color[1] = backColor[1]; color[2] = backColor[2];
+                }
+            }
+            if (skipBackground && matchesColor(color, 0, backColor)) continue;
+
+            const dstOffset = ((y + sy) * stage.width + (x + sx)) * 4;
+            const amount = alpha * blend;
+            for (let c = 0; c < 3; c++) {
+                const d = dst[dstOffset + c];
+                const value = inkChannel(ink, color[c], d, foreColor[c], backColor[c]);
+                dst[dstOffset + c] = Math.round(d + (value - d) * amount);
+            }
+            dst[dstOffset + 3] = 255;
+        }
+    }
+}
@@ -0,0 +1,386 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { MemberType } from '../director/chunk.js';
+import { FOURCC } from '../lingodec/enums.js';
+import { toUint8Array } from '../stream.js';
+
+// Built-in palette IDs following ScummVM's Director engine
+// These match the PaletteType enum values from ScummVM
+export const PaletteType = {
+    kClutSystemMac: -1,
+    kClutRainbow: -2,
+    kClutGrayscale: -3,
+    kClutPastels: -4,
+    kClutVivid: -5,
+    kClutNTSC: -6,
+    kClutMetallic: -7,
+    kClutWeb216: -8,
+    kClutSystemWin: -101,
+    kClutSystemWinD5: -102
+};
+
+// Generate Mac System palette (256 colors)
+// This is the classic Macintosh system palette used by Director
+function generateSystemMacPalette() {
+    const palette = new Array(256);
+
+    // The Mac system palette uses a 6x6x6 color cube for indices 0-215
+    // with index 0 = white, arranged so lower indices are brighter
+    for (let i = 0; i < 215; i++) {
+        const r = 5 - Math.floor(i / 36);
+        const g = 5 - Math.floor((i % 36) / 6);
+        const b = 5 - (i % 6);
+        palette[i] = [r * 51, g * 51, b * 51];
+    }
+
+    // Indices 215-254: Grayscale ramp (bright to dark)
+    for (let i = 215; i < 255; i++) {
+        const gray = Math.round(255 - ((i - 215) * 255 / 39));
+        palette[i] = [gray, gray, gray];
+    }
+
+    // Index 255 = Black
+    palette[255] = [0, 0, 0];
+    // Override index 0 to ensure it's white
+    palette[0] = [255, 255, 255];
+
+    return palette;
+}
+
+// Generate Grayscale palette (256 levels from white to black)
+function generateGrayscalePalette() {
+    const palette = new Array(256);
+    for (let i = 0; i < 256; i++) {
+        // Linear interpolation: index 0 = white (255), index 255 = black (0)
+        const gray = 255 - i;
+        palette[i] = [gray, gray, gray];
+    }
+    return palette;
+}
+
+// Generate Rainbow palette
+function generateRainbowPalette() {
+    const palette = new Array(256);
+    for (let i = 0; i < 256; i++) {
+        // HSV to RGB conversion with H varying from 0 to 360
+        const h = (i / 255) * 360;
+        const s = 1.0;
+        const v = 1.0;
+        const c = v * s;
+        const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+        const m = v - c;
+        let r, g, b;
+        if (h < 60) { r = c; g = x; b = 0; }
+        else if (h < 120) { r = x; g = c; b = 0; }
+        else if (h < 180) { r = 0; g = c; b = x; }
+        else if (h < 240) { r = 0; g = x; b = c; }
+        else if (h < 300) { r = x; g = 0; b = c; }
+        else { r = c; g = 0; b = x; }
+        palette[i] = [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
+    }
+    return palette;
+}
+
+// Cache of built-in palettes (generated on demand)
+const builtInPalettes = {};
+
+// Get a built-in palette by its ID
+export function getBuiltInPalette(paletteId) {
+    // Check cache first
+    if (builtInPalettes[paletteId]) {
+        return builtInPalettes[paletteId];
+    }
+
+    let palette;
+    switch (paletteId) {
+        case PaletteType.kClutSystemMac:
+        case PaletteType.kClutSystemWin:
+        case PaletteType.kClutSystemWinD5:
+            palette = generateSystemMacPalette();
+            break;
+        case PaletteType.kClutGrayscale:
+            palette = generateGrayscalePalette();
+            break;
+        case PaletteType.kClutRainbow:
+            palette = generateRainbowPalette();
+            break;
+        case PaletteType.kClutPastels:
+        case PaletteType.kClutVivid:
+        case PaletteType.kClutNTSC:
+        case PaletteType.kClutMetallic:
+        case PaletteType.kClutWeb216:
+            // For unsupported palettes, fall back to Mac System
+            palette = generateSystemMacPalette();
+            break;
+        default:
+            // Unknown built-in palette, use Mac System as default
+            palette = generateSystemMacPalette();
+            break;
+    }
+
+    builtInPalettes[paletteId] = palette;
+    return palette;
+}
+
+// Parse a CLUT chunk into a palette array
+export function parseCLUTChunk(clutData) {
+    const bytes = toUint8Array(clutData);
+    const numColors = Math.min(256, Math.floor(bytes.length / 6));
+    const palette = [];
+    for (let i = 0; i < numColors; i++) {
+        const offset = i * 6;
+        // Director palettes store colors as 16-bit values per channel (we use high byte)
+        palette.push([
+            bytes[offset] || 0,      // R (high byte)
+            bytes[offset + 2] || 0,  // G (high byte)
+            bytes[offset + 4] || 0   // B (high byte)
+        ]);
+    }
+    // Pad to 256 if needed
+    while (palette.length < 256) {
+        palette.push([0, 0, 0]);
+    }
+    return palette;
+}
+
+// Parse the palette ID from a bitmap member's specificData
+// Following ScummVM's BitmapCastMember parsing logic
+function parseBitmapPaletteId(specificData, version) {
+    if (!specificData || specificData.length < 24) {
+        return { paletteId: PaletteType.kClutSystemMac, castLib: -1 };
+    }
+
+    const bytes = toUint8Array(specificData);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // Check if high bit of first word is set (indicates extended data)
+    const bytesFlag = view.getUint16(0, false);
+    const hasExtendedData = (bytesFlag & 0x8000) !== 0;
+
+    if (!hasExtendedData) {
+        // No palette info in specificData, use default
+        return { paletteId: PaletteType.kClutSystemMac, castLib: -1 };
+    }
+
+    // For Director version >= 400, palette info is at different offsets
+    // specificData layout for D4+:
+    // 0-1: totalWidth (with high bit flag)
+    // 2-9: initialRect (top, left, bottom, right)
+    // 10-17: boundingRect
+    // 18-21: regPoint (y, x)
+    // 22: skip 1 byte (or flags)
+    // 23: bitsPerPixel
+    // 24-25: clutCastLib (for D5+)
+    // 26-27: clutId (or 24-25 for D4)
+
+    let paletteId = PaletteType.kClutSystemMac;
+    let castLib = -1;
+
+    try {
+        if (version >= 500) {
+            // D5+: has castLib field
+            if (bytes.length >= 28) {
+                castLib = view.getInt16(24, false);
+                paletteId = view.getInt16(26, false);
+            }
+        } else if (version >= 400) {
+            // D4: no castLib field
+            if (bytes.length >= 26) {
+                paletteId = view.getInt16(24, false);
+            }
+        } else {
+            // Pre-D4: simpler format
+            // Palette ID after regPoint at offset 22
+            if (bytes.length >= 24) {
+                paletteId = view.getInt16(22, false);
+            }
+        }
+
+        // ScummVM convention: built-in palettes are stored as (id - 1) in file
+        // So clutId <= 0 means built-in, need to subtract 1 to get actual ID
+        if (paletteId <= 0) {
+            paletteId = paletteId - 1;
+            castLib = -1;
+        }
+    } catch (e) {
+        console.warn('Error parsing palette ID:', e);
+    }
+
+    return { paletteId, castLib };
+}
+
+// Helper: Try to resolve a CLUT palette from a cast member chunk ID
+function resolvePaletteFromChunkId(dirFile, chunkId) {
+    if (!dirFile || !dirFile.keyTable) {
+        return null;
+    }
+
+    const clutFourCC = FOURCC('C', 'L', 'U', 'T');
+    for (const entry of dirFile.keyTable.entries) {
+        if (entry.castID === chunkId && entry.fourCC === clutFourCC) {
+            try {
+                const clutData = dirFile.getChunkData(clutFourCC, entry.sectionID);
+                if (clutData) {
+                    return {
+                        palette: parseCLUTChunk(clutData),
+                        name: `Custom Palette #${chunkId}`,
+                        id: chunkId
+                    };
+                }
+            } catch (e) {
+                console.warn('Error loading CLUT chunk:', e);
+            }
+        }
+    }
+    return null;
+}
+
+// Get the palette for a bitmap by looking up its palette reference
+// Uses multiple fallback strategies following LibreShockwave's approach
+export function getPaletteForBitmap(dirFile, bitmapMember) {
+    const version = dirFile?.version || 500;
+    const { paletteId, castLib } = parseBitmapPaletteId(bitmapMember.specificData, version);
+
+    // Built-in palette (negative ID)
+    if (paletteId < 0) {
+        return {
+            palette: getBuiltInPalette(paletteId),
+            name: getPaletteName(paletteId),
+            id: paletteId
+        };
+    }
+
+    if (!dirFile) {
+        return {
+            palette: getBuiltInPalette(PaletteType.kClutSystemMac),
+            name: 'System - Mac',
+            id: PaletteType.kClutSystemMac
+        };
+    }
+
+    // Strategy 1: paletteId might be the member number - 1 (after parsing adjustment)
+    // Convert to member number and search in cast arrays
+    const memberNumber = paletteId + 1;
+    for (const cast of dirFile.casts) {
+        const index = memberNumber - 1;
+        if (index >= 0 && index < cast.memberIDs.length) {
+            const chunkId = cast.memberIDs[index];
+            if (chunkId > 0) {
+                const resolved = resolvePaletteFromChunkId(dirFile, chunkId);
+                if (resolved) {
+                    return resolved;
+                }
+            }
+        }
+    }
+
+    // Strategy 2: paletteId might be directly a chunk section ID for a CastMemberChunk
+    let resolved = resolvePaletteFromChunkId(dirFile, paletteId);
+    if (resolved) {
+        return resolved;
+    }
+
+    // Strategy 2b: paletteId might directly reference a CLUT chunk section ID
+    const clutFourCC = FOURCC('C', 'L', 'U', 'T');
+    const clutIds = dirFile.chunkIDsByFourCC.get(clutFourCC) || [];
+    for (const clutId of clutIds) {
+        if (clutId === paletteId || clutId === paletteId + 1) {
+            try {
+                const clutData = dirFile.getChunkData(clutFourCC, clutId);
+                if (clutData) {
+                    return {
+                        palette: parseCLUTChunk(clutData),
+                        name: `Custom Palette #${clutId}`,
+                        id: clutId
+                    };
+                }
+            } catch (e) {
+                console.warn('Error loading CLUT chunk:', e);
+            }
+        }
+    }
+
+    // Strategy 3: paletteId might be the 1-based index among palette cast members
+    let paletteIndex = 0;
+    for (const cast of dirFile.casts) {
+        for (const [memberId, member] of cast.members) {
+            if (member.type === MemberType.kPaletteMember) {
+                if (paletteIndex === paletteId) {
+                    resolved = resolvePaletteFromChunkId(dirFile, member.castSectionID);
+                    if (resolved) {
+                        return resolved;
+                    }
+                }
+                paletteIndex++;
+            }
+        }
+    }
+
+    // Strategy 4: Return first available CLUT palette
+    if (clutIds.length > 0) {
+        try {
+            const clutData = dirFile.getChunkData(clutFourCC, clutIds[0]);
+            if (clutData) {
+                return {
+                    palette: parseCLUTChunk(clutData),
+                    name: 'Custom Palette',
+                    id: clutIds[0]
+                };
+            }
+        } catch (e) {
+            console.warn('Error loading first CLUT chunk:', e);
+        }
+    }
+
+    // Default fallback to Mac System palette
+    return {
+        palette: getBuiltInPalette(PaletteType.kClutSystemMac),
+        name: 'System - Mac',
+        id: PaletteType.kClutSystemMac
+    };
+}
+
+// Get human-readable name for a palette ID
+export function getPaletteName(paletteId) {
+    switch (paletteId) {
+        case PaletteType.kClutSystemMac: return 'System - Mac';
+        case PaletteType.kClutRainbow: return 'Rainbow';
+        case PaletteType.kClutGrayscale: return 'Grayscale';
+        case PaletteType.kClutPastels: return 'Pastels';
+        case PaletteType.kClutVivid: return 'Vivid';
+        case PaletteType.kClutNTSC: return 'NTSC';
+        case PaletteType.kClutMetallic: return 'Metallic';
+        case PaletteType.kClutWeb216: return 'Web 216';
+        case PaletteType.kClutSystemWin: return 'System - Win';
+        case PaletteType.kClutSystemWinD5: return 'System - Win (D5)';
+        default:
+            if (paletteId > 0) return `Cast Member #${paletteId}`;
+            return `Unknown (${paletteId})`;
+    }
+}
+
+/**
+ * Pick the palette for a bitmap from the palette ID in its member data
+ */
+export function resolveBitmapPalette(dirFile, member, paletteId) {
+    if (paletteId < 0) {
+        return {
+            palette: getBuiltInPalette(paletteId),
+            name: getPaletteName(paletteId),
+            id: paletteId
+        };
+    }
+    if (paletteId > 0) {
+        // Try to load custom palette from CLUT
+        return getPaletteForBitmap(dirFile, member);
+    }
+    return {
+        palette: getBuiltInPalette(PaletteType.kClutSystemMac),
+        name: 'System - Mac',
+        id: PaletteType.kClutSystemMac
+    };
+}
@@ -0,0 +1,83 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { FOURCC } from '../lingodec/enums.js';
+import { toUint8Array } from '../stream.js';
+import { decompressBITD } from './bitmap.js';
+import { createImage } from './ink.js';
+
+/**
+ * Director 5/6 Rich Text members are split over three chunks: RTE0 holds
+ * the editor's styled document, RTE1 the plain text and RTE2 the text
+ * pre-rendered with anti-aliasing. RTE1 is the chunk other players (e.g.
+ * ScummVM) read the member's text from; RTE0 is binary and is not text.
+ * The styled document's layout is not known, so RTE0 is passed on
+ * undecoded and the text has no style runs.
+ */
+
+// RTE1 text may be padded with NULs
+function trimNuls(data) {
+    const bytes = toUint8Array(data);
+    let end = bytes.length;
+    while (end > 0 && bytes[end - 1] === 0) end--;
+    return bytes.subarray(0, end);
+}
+
+/**
+ * Decode an RTE2 chunk: width, height and bit depth (uint16 big-endian),
+ * then coverage values packed with the same RLE as BITD. Returns an RGBA
+ * image of the text in black, with coverage as alpha, or null for short
+ * or empty data.
+ */
+export function decodeRTE2(data) {
+    const bytes = toUint8Array(data);
+    if (bytes.length < 6) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const width = view.getUint16(0, false);
+    const height = view.getUint16(2, false);
+    const bitsPerPixel = view.getUint16(4, false);
+    if (width === 0 || height === 0 || ![1, 2, 4, 8].includes(bitsPerPixel)) return null;
+
+    const pitch = Math.ceil(width * bitsPerPixel / 8);
+    const pixels = decompressBITD(bytes.subarray(6), pitch * height, 500, bitsPerPixel);
+    const maxValue = (1 << bitsPerPixel) - 1;
+    const pixelsPerByte = 8 / bitsPerPixel;
+
+    const image = createImage(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const byte = pixels[y * pitch + Math.floor(x / pixelsPerByte)] || 0;
+            const shift = (pixelsPerByte - 1 - x % pixelsPerByte) * bitsPerPixel;
+            const value = (byte >> shift) & maxValue;
+            image.data[(y * width + x) * 4 + 3] = Math.round(value * 255 / maxValue);
+        }
+    }
+    return { width, height, bitsPerPixel, image };
+}
+
+/**
+ * Load a Rich Text member's chunks. Returns null if it has none, otherwise
+ * { textBytes, document, bitmap }: the RTE1 text, the raw RTE0 document and
+ * the decoded RTE2 bitmap, any of which may be null.
+ */
+export function loadRichText(dirFile, member) {
+    const load = fourCC => {
+        const sectionID = dirFile.findMemberDataChunk(member.id, member, fourCC);
+        return sectionID === null ? null : dirFile.getChunkData(fourCC, sectionID);
+    };
+
+    const rte0 = load(FOURCC('R', 'T', 'E', '0'));
+    const rte1 = load(FOURCC('R', 'T', 'E', '1'));
+    const rte2 = load(FOURCC('R', 'T', 'E', '2'));
+    if (!rte0 && !rte1 && !rte2) return null;
+
+    return {
+        textBytes: rte1 ? trimNuls(rte1) : null,
+        document: rte0,
+        bitmap: rte2 ? decodeRTE2(rte2) : null
+    };
+}
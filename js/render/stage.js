@@ -0,0 +1,538 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { FOURCC } from '../lingodec/enums.js';
+import { toUint8Array } from '../stream.js';
+import { MemberType } from '../director/chunk.js';
+import { SpriteType } from '../director/score.js';
+import { decodeText } from '../director/text.js';
+import { PaletteType, getBuiltInPalette, parseCLUTChunk } from './palette.js';
+import { decodeBitmapMember } from './bitmap.js';
+import { loadFilmLoop } from './filmloop.js';
+import { Ink, applyInk, createImage, fillImage, scaleImage, maskFromImage } from './ink.js';
+
+const kDefaultStageWidth = 640;
+const kDefaultStageHeight = 480;
+// Config platform of movies authored on Windows
+const kPlatformWindows = 2;
+// Film loops can contain film loops; stop following them after this many
+const kMaxFilmLoopDepth = 4;
+
+// Shapes drawn straight from the sprite type, without a cast member
+const SPRITE_SHAPES = {
+    [SpriteType.kRectangle]: { shape: 'rect', filled: true },
+    [SpriteType.kRoundedRectangle]: { shape: 'roundRect', filled: true },
+    [SpriteType.kOval]: { shape: 'oval', filled: true },
+    [SpriteType.kLineTopBottom]: { shape: 'line', filled: false },
+    [SpriteType.kLineBottomTop]: { shape: 'lineUp', filled: false },
+    [SpriteType.kOutlinedRectangle]: { shape: 'rect', filled: false },
+    [SpriteType.kOutlinedRoundedRectangle]: { shape: 'roundRect', filled: false },
+    [SpriteType.kOutlinedOval]: { shape: 'oval', filled: false },
+    [SpriteType.kThickLine]: { shape: 'line', filled: false }
+};
+
+// Shape member types (SHAP specific data)
+const MEMBER_SHAPES = {
+    1: 'rect',
+    2: 'roundRect',
+    3: 'oval',
+    4: 'line'
+};
+
+// Shapes and text are drawn with the canvas API
+function createDomCanvas(width, height) {
+    if (typeof document === 'undefined') return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function colorToCss([r, g, b]) {
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * StageRenderer - Composites the sprites of one score frame into an image
+ * the size of the stage, applying each sprite's ink
+ *
+ * Bitmaps and film loops are composited without a DOM. Shapes and text need
+ * a 2D canvas from options.createCanvas(width, height), which defaults to a
+ * DOM canvas; where it returns null those sprites are skipped.
+ */
+export class StageRenderer {
+    constructor(dirFile, options = {}) {
+        this.dirFile = dirFile;
+        this.createCanvas = options.createCanvas || createDomCanvas;
+        // Decoded bitmaps by member
+        this.bitmapCache = new Map();
+        this.filmLoopCache = new Map();
+        // Palette cast members by "castLib:member"
+        this.paletteCache = new Map();
+        // The palette of the frame being composited; colour indices resolve through it
+        this.palette = null;
+        // Sprites from the last render that could not be drawn
+        this.skipped = [];
+    }
+
+    get stageRect() {
+        const config = this.dirFile.config;
+        if (!config || config.movieRight <= config.movieLeft || config.movieBottom <= config.movieTop) {
+            return { left: 0, top: 0, width: kDefaultStageWidth, height: kDefaultStageHeight };
+        }
+        return {
+            left: config.movieLeft,
+            top: config.movieTop,
+            width: config.movieRight - config.movieLeft,
+            height: config.movieBottom - config.movieTop
+        };
+    }
+
+    /**
+     * The stage colour as [r, g, b]. Before Director 7 it is an index into
+     * the system palette.
+     */
+    get stageColor() {
+        const config = this.dirFile.config;
+        if (!config) return [255, 255, 255];
+        if (this.dirFile.version >= 700) {
+            if (config.D7stageColorIsRGB) {
+                return [config.D7stageColorR, config.D7stageColorG, config.D7stageColorB];
+            }
+            return this.paletteColor(config.D7stageColorB);
+        }
+        return this.paletteColor(config.preD7stageColor);
+    }
+
+    paletteColor(index) {
+        const palette = this.palette || this.defaultPalette;
+        return palette[index & 0xFF] || [0, 0, 0];
+    }
+
+    /**
+     * The movie's default palette from its config, or the system palette
+     * of the platform it was made on
+     */
+    get defaultPalette() {
+        const config = this.dirFile.config;
+        const palette = config && config.defaultPalette ? this.resolvePalette(0, config.defaultPalette) : null;
+        if (palette) return palette;
+        return getBuiltInPalette(config && config.platform === kPlatformWindows
+            ? PaletteType.kClutSystemWin
+            : PaletteType.kClutSystemMac);
+    }
+
+    /**
+     * The palette in effect in a frame: the last one set in the palette
+     * channel at or before it, otherwise the movie's default
+     */
+    framePalette(score, frame) {
+        for (let number = frame.number; number >= 1; number--) {
+            const paletteRef = score.getFrame(number)?.mainChannels.palette;
+            if (paletteRef && paletteRef.member) {
+                const palette = this.resolvePalette(paletteRef.castLib, paletteRef.member);
+                if (palette) return palette;
+            }
+        }
+        return this.defaultPalette;
+    }
+
+    /**
+     * A palette by member number: negative numbers are built-in palettes,
+     * positive ones palette cast members. Returns null if it can't be found.
+     */
+    resolvePalette(castLib, memberNumber) {
+        if (memberNumber < 0) return getBuiltInPalette(memberNumber);
+
+        const key = castLib + ':' + memberNumber;
+        if (!this.paletteCache.has(key)) {
+            let palette = null;
+            const member = this.dirFile.getCastMember(castLib, memberNumber);
+            if (member && member.type === MemberType.kPaletteMember) {
+                const clutFourCC = FOURCC('C', 'L', 'U', 'T');
+                const clutID = this.dirFile.findMemberDataChunk(member.id, member, clutFourCC);
+                if (clutID !== null) {
+                    palette = parseCLUTChunk(this.dirFile.getChunkData(clutFourCC, clutID));
+                }
+            }
+            this.paletteCache.set(key, palette);
+        }
+        return this.paletteCache.get(key);
+    }
+
+    /**
+     * Draw a frame onto the canvas, resizing it to the stage
+     */
+    renderFrame(frameNumber, canvas) {
+        const image = this.composeFrame(frameNumber);
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Composite a frame into an RGBA image ({ width, height, data })
+     */
+    composeFrame(frameNumber) {
+        const score = this.dirFile.score;
+        const frame = score ? score.getFrame(frameNumber) : null;
+        if (!frame) {
+            throw new Error('Frame ' + frameNumber + ' is not in the score');
+        }
+
+        this.palette = this.framePalette(score, frame);
+        const stage = this.stageRect;
+        const image = createImage(stage.width, stage.height);
+        fillImage(image, this.stageColor);
+
+        this.skipped = [];
+        this.drawSprites(image, score, frame, { originX: 0, originY: 0, depth: 0 });
+        return image;
+    }
+
+    /**
+     * Composite one frame of a film loop (from loadFilmLoop) into an image
+     * the size of the loop. Uncovered pixels are left transparent.
+     */
+    composeFilmLoopFrame(filmLoop, frameNumber, depth = 0) {
+        const frame = filmLoop.score.getFrame(frameNumber);
+        if (!frame) {
+            throw new Error('Frame ' + frameNumber + ' is not in the film loop');
+        }
+
+        // A loop previewed on its own uses the movie's default palette
+        if (depth === 0) {
+            this.palette = null;
+        }
+
+        const image = createImage(filmLoop.width, filmLoop.height);
+        fillImage(image, [255, 255, 255]);
+        for (let i = 3; i < image.data.length; i += 4) {
+            image.data[i] = 0;
+        }
+
+        this.skipped = [];
+        this.drawSprites(image, filmLoop.score, frame, {
+            originX: filmLoop.rect.left,
+            originY: filmLoop.rect.top,
+            depth
+        });
+        return image;
+    }
+
+    /**
+     * Sprite channels are drawn bottom to top. Sprite positions are offset
+     * by the context's origin.
+     */
+    drawSprites(image, score, frame, context) {
+        const channels = Array.from(frame.sprites.keys()).sort((a, b) => a - b);
+        for (const channel of channels) {
+            const sprite = frame.sprites.get(channel);
+            // Film loops in the sprite play from the start of its span
+            const span = score.spans.find(span => span.channel === channel &&
+                span.startFrame <= frame.number && span.endFrame >= frame.number);
+            const spriteContext = { ...context, elapsed: span ? frame.number - span.startFrame : 0 };
+            try {
+                if (!this.drawSprite(image, sprite, spriteContext)) {
+                    this.skipped.push({ channel, reason: 'Unsupported sprite' });
+                }
+            } catch (e) {
+                console.warn('StageRenderer: Could not draw sprite ' + channel + ': ' + e.message);
+                this.skipped.push({ channel, reason: e.message });
+            }
+        }
+    }
+
+    /**
+     * The ink settings for a sprite. Blend only applies to Blend ink before
+     * Director 7.
+     */
+    inkOptions(sprite) {
+        const blends = sprite.ink === Ink.kBlend || this.dirFile.version >= 700;
+        return {
+            ink: sprite.ink,
+            blend: blends ? sprite.blend : 100,
+            foreColor: this.paletteColor(sprite.foreColor),
+            backColor: this.paletteColor(sprite.backColor)
+        };
+    }
+
+    /**
+     * Returns false if the sprite's member type can not be drawn
+     */
+    drawSprite(image, sprite, context) {
+        const member = this.dirFile.getCastMember(sprite.castLib, sprite.member);
+        const rect = {
+            x: sprite.locH - context.originX,
+            y: sprite.locV - context.originY,
+            width: sprite.width,
+            height: sprite.height
+        };
+
+        if (!member) {
+            const spriteShape = SPRITE_SHAPES[sprite.spriteType];
+            if (!spriteShape) return false;
+            return this.drawRasterized(image, rect, sprite,
+                ctx => this.drawShape(ctx, spriteShape.shape, spriteShape.filled, sprite));
+        }
+
+        switch (member.type) {
+            case MemberType.kBitmapMember:
+                return this.drawBitmap(image, rect, sprite, member);
+            case MemberType.kFilmLoopMember:
+                return this.drawFilmLoop(image, rect, sprite, member, context);
+            case MemberType.kShapeMember:
+                return this.drawRasterized(image, rect, sprite,
+                    ctx => this.drawShapeMember(ctx, sprite, member));
+            case MemberType.kTextMember:
+            case MemberType.kButtonMember:
+                return this.drawRasterized(image, rect, sprite,
+                    ctx => this.drawText(ctx, sprite, member));
+            default:
+                return false;
+        }
+    }
+
+    drawBitmap(image, rect, sprite, member) {
+        const bitmap = this.getBitmap(member);
+        if (!bitmap) return false;
+
+        // The sprite's loc is where the registration point goes
+        const { left, top, regX, regY, bitsPerPixel } = bitmap.bitmapInfo;
+        const x = rect.x - (regX - left);
+        const y = rect.y - (regY - top);
+        let source = bitmap.image;
+        if (sprite.stretch && sprite.width > 0 && sprite.height > 0) {
+            source = scaleImage(source, sprite.width, sprite.height);
+        }
+
+        const options = this.inkOptions(sprite);
+        options.colorize = bitsPerPixel === 1;
+        if (sprite.ink === Ink.kMask) {
+            options.mask = this.getMask(sprite, member, source.width, source.height);
+        }
+        applyInk(image, source, x, y, options);
+        return true;
+    }
+
+    /**
+     * A film loop sprite shows the loop frame for how long the sprite has
+     * been on stage, centred on the sprite's loc
+     */
+    drawFilmLoop(image, rect, sprite, member, context) {
+        if (context.depth >= kMaxFilmLoopDepth) return false;
+
+        const filmLoop = this.getFilmLoop(member);
+        if (!filmLoop || filmLoop.frameCount === 0) return false;
+
+        const skipped = this.skipped;
+        const loopFrame = (filmLoop.looping
+            ? context.elapsed % filmLoop.frameCount
+            : Math.min(context.elapsed, filmLoop.frameCount - 1)) + 1;
+        let source = this.composeFilmLoopFrame(filmLoop, loopFrame, context.depth + 1);
+        this.skipped = skipped;
+
+        if (sprite.stretch && sprite.width > 0 && sprite.height > 0) {
+            source = scaleImage(source, sprite.width, sprite.height);
+        }
+        const x = rect.x - Math.floor(source.width / 2);
+        const y = rect.y - Math.floor(source.height / 2);
+        applyInk(image, source, x, y, this.inkOptions(sprite));
+        return true;
+    }
+
+    getFilmLoop(member) {
+        if (!this.filmLoopCache.has(member)) {
+            this.filmLoopCache.set(member, loadFilmLoop(this.dirFile, member));
+        }
+        return this.filmLoopCache.get(member);
+    }
+
+    /**
+     * Mask ink uses the member after the sprite's member as its mask
+     */
+    getMask(sprite, member, width, height) {
+        const maskMember = this.dirFile.getCastMember(sprite.castLib, member.id + 1);
+        if (!maskMember || maskMember.type !== MemberType.kBitmapMember) return null;
+
+        const maskBitmap = this.getBitmap(maskMember);
+        if (!maskBitmap) return null;
+        return maskFromImage(scaleImage(maskBitmap.image, width, height), width, height);
+    }
+
+    /**
+     * Draw with the canvas API into a sprite-sized image, then composite it
+     * with the sprite's ink
+     */
+    drawRasterized(image, rect, sprite, draw) {
+        if (rect.width <= 0 || rect.height <= 0) return true;
+
+        const canvas = this.createCanvas(rect.width, rect.height);
+        if (!canvas) {
+            throw new Error('No canvas to draw shapes and text with');
+        }
+        const ctx = canvas.getContext('2d');
+        if (draw(ctx) === false) return false;
+
+        const source = ctx.getImageData(0, 0, rect.width, rect.height);
+        applyInk(image, source, rect.x, rect.y, this.inkOptions(sprite));
+        return true;
+    }
+
+    getBitmap(member) {
+        if (this.bitmapCache.has(member)) {
+            return this.bitmapCache.get(member);
+        }
+
+        let bitmap = null;
+        const bitdID = this.dirFile.findMemberDataChunk(member.id, member, FOURCC('B', 'I', 'T', 'D'));
+        const decoded = decodeBitmapMember(this.dirFile, member, bitdID);
+        if (decoded) {
+            bitmap = { image: decoded.image, bitmapInfo: decoded.bitmapInfo };
+        }
+        this.bitmapCache.set(member, bitmap);
+        return bitmap;
+    }
+
+    drawShapeMember(ctx, sprite, member) {
+        const bytes = member.specificData ? toUint8Array(member.specificData) : new Uint8Array(0);
+        const shapeType = bytes.length >= 2 ? ((bytes[0] << 8) | bytes[1]) : 1;
+        const filled = sprite.spriteType < SpriteType.kOutlinedRectangle || sprite.spriteType > SpriteType.kOutlinedOval;
+        this.drawShape(ctx, MEMBER_SHAPES[shapeType] || 'rect', filled, sprite);
+    }
+
+    /**
+     * Draw a shape filling the context's canvas
+     */
+    drawShape(ctx, shape, filled, sprite) {
+        const x = 0;
+        const y = 0;
+        const { width, height } = ctx.canvas;
+        const color = colorToCss(this.paletteColor(sprite.foreColor));
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(sprite.lineSize, 1);
+
+        ctx.beginPath();
+        switch (shape) {
+            case 'roundRect':
+                ctx.roundRect(x, y, width, height, Math.min(12, width / 4, height / 4));
+                break;
+            case 'oval':
+                ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+                break;
+            case 'line':
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + width, y + height);
+                break;
+            case 'lineUp':
+                ctx.moveTo(x, y + height);
+                ctx.lineTo(x + width, y);
+                break;
+            default:
+                ctx.rect(x, y, width, height);
+                break;
+        }
+
+        if (filled && shape !== 'line' && shape !== 'lineUp') {
+            ctx.fill();
+        } else {
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Draw an STXT member's text with its style runs, wrapped to the sprite
+     * width. Fonts go through the movie's font map like the text preview.
+     */
+    drawText(ctx, sprite, member) {
+        const stxtID = this.dirFile.findMemberDataChunk(member.id, member, FOURCC('S', 'T', 'X', 'T'));
+        if (!stxtID) return false;
+
+        const { textBytes, runs } = this.dirFile.readStyledText(stxtID);
+        const text = decodeText(textBytes, this.dirFile.config ? this.dirFile.config.platform : 0);
+        const styles = runs.length > 0 ? runs : [null];
+        const maxWidth = ctx.canvas.width;
+
+        // Lay out one line at a time, then draw it on a common baseline
+        let pieces = [];
+        let x = 0;
+        let y = 0;
+        let ascent = 0;
+        let lineHeight = 0;
+        let style = null;
+        const endLine = () => {
+            const baseline = y + (ascent || style.ascent);
+            for (const piece of pieces) {
+                ctx.font = piece.style.font;
+                ctx.fillStyle = piece.style.color;
+                ctx.fillText(piece.text, piece.x, baseline);
+                if (piece.style.underline) {
+                    ctx.fillRect(piece.x, baseline + 1, piece.width, 1);
+                }
+            }
+            y += lineHeight || style.height;
+            pieces = [];
+            x = 0;
+            ascent = 0;
+            lineHeight = 0;
+        };
+
+        ctx.textBaseline = 'alphabetic';
+        for (let i = 0; i < styles.length; i++) {
+            const start = i === 0 ? 0 : Math.min(styles[i].start, text.length);
+            const end = i + 1 < styles.length ? Math.min(styles[i + 1].start, text.length) : text.length;
+            style = this.textStyle(styles[i], sprite);
+            ctx.font = style.font;
+
+            for (const token of text.slice(start, end).split(/(\r| +)/)) {
+                if (!token) continue;
+                if (token === '\r') {
+                    endLine();
+                    continue;
+                }
+                const width = ctx.measureText(token).width;
+                if (x > 0 && x + width > maxWidth && token.trim()) {
+                    endLine();
+                }
+                pieces.push({ text: token, x, width, style });
+                x += width;
+                ascent = Math.max(ascent, style.ascent);
+                lineHeight = Math.max(lineHeight, style.height);
+            }
+        }
+        if (pieces.length > 0) endLine();
+    }
+
+    /**
+     * Canvas font, colour and line metrics for a style run, or for the
+     * sprite's colour in 12 point Geneva when the text has no runs
+     */
+    textStyle(run, sprite) {
+        if (!run) {
+            return {
+                font: '12px Geneva, Arial, sans-serif',
+                color: colorToCss(this.paletteColor(sprite.foreColor)),
+                underline: false,
+                ascent: 12,
+                height: 14
+            };
+        }
+
+        const fontMap = this.dirFile.fontMap;
+        const fontName = fontMap ? fontMap.resolveFont(run.fontId) : null;
+        const size = (fontMap ? fontMap.resolveSize(run.fontId, run.size) : run.size) || 12;
+        const family = fontName ? `'${fontName.replace(/['"\\]/g, '')}', Geneva, Arial, sans-serif` : 'Geneva, Arial, sans-serif';
+        return {
+            font: `${run.italic ? 'italic ' : ''}${run.bold ? 'bold ' : ''}${size}px ${family}`,
+            color: colorToCss(run.color),
+            underline: run.underline,
+            ascent: run.ascent || Math.round(size * 0.8),
+            height: run.height || Math.round(size * 1.2)
+        };
+    }
+}
@@ -479,3 +479,21 @@ export class WriteStream {
         return new Uint8Array(this._buffer, this._offset, this._length);
     }
 }
+
+/**
+ * View any buffer-like value (BufferView, typed array, ArrayBuffer) as bytes
+ */
+export function toUint8Array(data) {
+    if (data instanceof Uint8Array) {
+        return data;
+    }
+    if (data.buffer && data.byteOffset !== undefined) {
+        // BufferView
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    // Fallback
+    return new Uint8Array(data.buffer || data);
+}
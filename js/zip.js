@@ -0,0 +1,105 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Minimal ZIP writer. Files are stored without compression, which is all
+ * we need for already-compressed PNGs.
+ */
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Build a ZIP archive from [{ name, data: Uint8Array }]
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const entries = files.map(file => ({
+        name: encoder.encode(file.name),
+        data: file.data,
+        crc: crc32(file.data),
+        offset: 0
+    }));
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+
+    const writeCommon = (entry) => {
+        view.setUint16(pos, 20, true); // version needed
+        view.setUint16(pos + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(pos + 4, 0, true); // stored
+        view.setUint16(pos + 6, time, true);
+        view.setUint16(pos + 8, day, true);
+        view.setUint32(pos + 10, entry.crc, true);
+        view.setUint32(pos + 14, entry.data.length, true);
+        view.setUint32(pos + 18, entry.data.length, true);
+        view.setUint16(pos + 22, entry.name.length, true);
+        view.setUint16(pos + 24, 0, true); // extra field length
+        pos += 26;
+    };
+
+    for (const entry of entries) {
+        entry.offset = pos;
+        view.setUint32(pos, 0x04034B50, true);
+        pos += 4;
+        writeCommon(entry);
+        bytes.set(entry.name, pos);
+        pos += entry.name.length;
+        bytes.set(entry.data, pos);
+        pos += entry.data.length;
+    }
+
+    const centralStart = pos;
+    for (const entry of entries) {
+        view.setUint32(pos, 0x02014B50, true);
+        view.setUint16(pos + 4, 20, true); // version made by
+        pos += 6;
+        writeCommon(entry);
+        view.setUint16(pos, 0, true); // comment length
+        view.setUint16(pos + 2, 0, true); // disk number
+        view.setUint16(pos + 4, 0, true); // internal attributes
+        view.setUint32(pos + 6, 0, true); // external attributes
+        view.setUint32(pos + 10, entry.offset, true);
+        pos += 14;
+        bytes.set(entry.name, pos);
+        pos += entry.name.length;
+    }
+
+    view.setUint32(pos, 0x06054B50, true);
+    view.setUint16(pos + 8, entries.length, true);
+    view.setUint16(pos + 10, entries.length, true);
+    view.setUint32(pos + 12, pos - centralStart, true);
+    view.setUint32(pos + 16, centralStart, true);
+    return bytes;
+}
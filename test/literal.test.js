@@ -0,0 +1,64 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LingoPoint, LingoPropList, LingoSymbol, parseLingoLiteral } from '../js/lingodec/literal.js';
+
+// Round-trip through JSON, as the text viewer does
+function json(text) {
+    return JSON.parse(JSON.stringify(parseLingoLiteral(text)));
+}
+
+test('parses nested lists', () => {
+    assert.deepEqual(parseLingoLiteral('[1, [2, [3, []]], [:]]'), [1, [2, [3, []]], new LingoPropList()]);
+});
+
+test('parses property lists in order, keeping repeated and mixed keys', () => {
+    const list = parseLingoLiteral('[#a: 1, "a": 2, #a: [#b: 3]]');
+    assert.ok(list instanceof LingoPropList);
+    assert.equal(list.entries.length, 3);
+    assert.deepEqual(json('[#a: 1, "a": 2, #a: [#b: 3]]'), {
+        propList: [['#a', 1], ['a', 2], ['#a', { propList: [['#b', 3]] }]]
+    });
+});
+
+test('parses symbols', () => {
+    const symbol = parseLingoLiteral('#mySymbol');
+    assert.ok(symbol instanceof LingoSymbol);
+    assert.equal(symbol.name, 'mySymbol');
+    assert.deepEqual(json('[#one, #two]'), ['#one', '#two']);
+});
+
+test('joins strings with quote and other string constants', () => {
+    assert.equal(parseLingoLiteral('"say " & QUOTE & "hi" & QUOTE'), 'say "hi"');
+    assert.equal(parseLingoLiteral('"a" && "b" & RETURN & TAB'), 'a b\r\t');
+    assert.equal(parseLingoLiteral('EMPTY'), '');
+});
+
+test('parses negative numbers and floats', () => {
+    assert.deepEqual(parseLingoLiteral('[-5, 2.5, -0.25, .5, 1e3, +7]'), [-5, 2.5, -0.25, 0.5, 1000, 7]);
+});
+
+test('parses points, rects and colours', () => {
+    const point = parseLingoLiteral('point(10, -20)');
+    assert.ok(point instanceof LingoPoint);
+    assert.deepEqual(json('[point(10, -20), rect(0, 0, 4, 2), rgb("#FF8000"), color(#paletteIndex, 3)]'), [
+        { point: [10, -20] },
+        { rect: [0, 0, 4, 2] },
+        { color: [255, 128, 0] },
+        { paletteIndex: 3 }
+    ]);
+});
+
+test('rejects text that is not a single value', () => {
+    assert.throws(() => parseLingoLiteral('[1, 2'), /Expected "]"/);
+    assert.throws(() => parseLingoLiteral('[1] 2'), /Unexpected text after value at character 5/);
+    assert.throws(() => parseLingoLiteral('[#a: 1, 2]'), /Expected ":"/);
+});
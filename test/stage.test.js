@@ -0,0 +1,134 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MemberType } from '../js/director/chunk.js';
+import { SpriteType } from '../js/director/score.js';
+import { Ink } from '../js/render/ink.js';
+import { PaletteType } from '../js/render/palette.js';
+import { StageRenderer } from '../js/render/stage.js';
+
+// Mac system palette indices
+const WHITE = 0;
+const BLACK = 255;
+
+/**
+ * A 2x2 1-bit bitmap member (Director 5 layout) with its BITD rows
+ */
+function bitmapMember(id, rows) {
+    const specificData = new Uint8Array(24);
+    const view = new DataView(specificData.buffer);
+    view.setUint16(0, 2); // pitch
+    view.setInt16(6, 2); // bottom
+    view.setInt16(8, 2); // right
+    specificData[23] = 1; // bits per pixel
+    return { id, type: MemberType.kBitmapMember, specificData, bitd: new Uint8Array(rows) };
+}
+
+function sprite(member, locH, locV, ink, blend = 100) {
+    return {
+        castLib: 1, member, spriteType: SpriteType.kBitmap, locH, locV, width: 2, height: 2,
+        ink, blend, foreColor: BLACK, backColor: WHITE, stretch: false, lineSize: 1
+    };
+}
+
+/**
+ * Just enough of a DirectorFile for the stage renderer: a 4x2 white stage
+ * and one frame of sprites
+ */
+function movie(sprites, paletteMember = 0) {
+    const members = new Map([
+        // Black on the diagonal
+        [1, bitmapMember(1, [0x80, 0x00, 0x40, 0x00])],
+        // All black
+        [2, bitmapMember(2, [0xC0, 0x00, 0xC0, 0x00])]
+    ]);
+    const frame = {
+        number: 1,
+        mainChannels: { palette: { castLib: 0, member: paletteMember } },
+        sprites: new Map(sprites.map((s, i) => [i + 1, s]))
+    };
+    return {
+        version: 500,
+        config: { movieLeft: 0, movieTop: 0, movieRight: 4, movieBottom: 2, preD7stageColor: WHITE },
+        score: { spans: [], getFrame: n => (n === 1 ? frame : null) },
+        getCastMember: (castLib, id) => members.get(id) || null,
+        findMemberDataChunk: id => id,
+        chunkExists: (fourCC, id) => members.has(id),
+        getChunkData: (fourCC, id) => members.get(id).bitd
+    };
+}
+
+function pixels(image) {
+    const rows = [];
+    for (let y = 0; y < image.height; y++) {
+        const row = [];
+        for (let x = 0; x < image.width; x++) {
+            const i = (y * image.width + x) * 4;
+            row.push(image.data.slice(i, i + 4).join(','));
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+const W = '255,255,255,255';
+const B = '0,0,0,255';
+
+test('composites a frame with Copy, Matte and Blend inks', () => {
+    const renderer = new StageRenderer(movie([
+        sprite(1, 0, 0, Ink.kCopy),
+        sprite(1, 1, 0, Ink.kMatte),
+        sprite(2, 2, 0, Ink.kBlend, 50)
+    ]), { createCanvas: () => null });
+
+    const G = '128,128,128,255';
+    assert.deepEqual(pixels(renderer.composeFrame(1)), [
+        [B, B, G, G],
+        [W, B, B, G]
+    ]);
+    assert.deepEqual(renderer.skipped, []);
+});
+
+// Member 1 (black on the diagonal) drawn at the stage's left edge
+const inkCases = [
+    ['Transparent', Ink.kTransparent, WHITE, [[B, W, W, W], [W, B, W, W]]],
+    ['Reverse', Ink.kReverse, BLACK, [[W, B, B, B], [B, W, B, B]]],
+    ['Ghost', Ink.kGhost, BLACK, [[W, B, B, B], [B, W, B, B]]],
+    ['Not Transparent', Ink.kNotTransparent, WHITE, [[W, B, W, W], [B, W, W, W]]],
+    ['Not Reverse', Ink.kNotReverse, BLACK, [[B, W, B, B], [W, B, B, B]]],
+    ['Not Ghost', Ink.kNotGhost, BLACK, [[B, W, B, B], [W, B, B, B]]]
+];
+
+for (const [name, ink, stageColor, expected] of inkCases) {
+    test(`draws a bitmap with ${name} ink`, () => {
+        const dirFile = movie([sprite(1, 0, 0, ink)]);
+        dirFile.config.preD7stageColor = stageColor;
+        const renderer = new StageRenderer(dirFile, { createCanvas: () => null });
+        assert.deepEqual(pixels(renderer.composeFrame(1)), expected);
+    });
+}
+
+test('resolves the stage colour through the frame palette', () => {
+    const dirFile = movie([], PaletteType.kClutGrayscale);
+    dirFile.config.preD7stageColor = 64;
+    const image = new StageRenderer(dirFile, { createCanvas: () => null }).composeFrame(1);
+    assert.deepEqual(Array.from(image.data.slice(0, 4)), [191, 191, 191, 255]);
+});
+
+test('skips shapes when there is no canvas to draw them with', () => {
+    const shape = { ...sprite(99, 0, 0, Ink.kCopy), spriteType: SpriteType.kRectangle };
+    const renderer = new StageRenderer(movie([shape]), { createCanvas: () => null });
+
+    const image = renderer.composeFrame(1);
+    assert.equal(renderer.skipped.length, 1);
+    assert.equal(renderer.skipped[0].channel, 1);
+    assert.ok(image.data.every(value => value === 255));
+});